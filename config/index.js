@@ -6,15 +6,62 @@ module.exports = {
   uploadPath: process.env.UPLOAD_PATH || './uploads',
   maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
   allowedFileTypes: ['image/jpeg', 'image/png', 'image/jpg'],
+  // Sample attachments also accept PDF (lab certificates, printouts, field sheets)
+  allowedAttachmentTypes: ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'],
+  attachmentTypes: ['PHOTO', 'INSTRUMENT_PRINTOUT', 'LAB_CERTIFICATE', 'FIELD_SHEET'],
+  attachmentVisibilities: ['INTERNAL', 'PUBLIC'],
 
   // NEW Lifecycle: COLLECTED → FIELD_TESTED → LAB_TESTED → PUBLISHED → ARCHIVED
-  lifecycleStatuses: ['COLLECTED', 'FIELD_TESTED', 'LAB_TESTED', 'PUBLISHED', 'ARCHIVED'],
+  // FIELD_TESTED → REJECTED (returned to the field team)
+  // PUBLISHED → RETRACTED (results withdrawn with a public notice)
+  lifecycleStatuses: ['COLLECTED', 'FIELD_TESTED', 'REJECTED', 'RECOLLECTED', 'LAB_TESTED', 'PUBLISHED', 'RETRACTED', 'ARCHIVED'],
+
+  // What the field team must do with a rejected sample
+  rejectionResolutions: ['RECOLLECT', 'RETEST_FIELD'],
+
+  // Chain of custody: collector → courier → lab receipt
+  custodyEvents: ['COLLECTED', 'DISPATCHED', 'LAB_RECEIVED'],
+  sealConditions: ['INTACT', 'BROKEN', 'NOT_SEALED'],
+
+  // Sample ID format: PREFIX-PERIOD-NNNNN (e.g. SMP-2501-00001)
+  // First prefix is the default; others are per-lab / per-region prefixes
+  sampleIdPrefixes: (process.env.SAMPLE_ID_PREFIXES || 'SMP').split(',').map(p => p.trim().toUpperCase()),
+  // Sequence resets per period: MONTH (YYMM) | YEAR (YY) | NONE
+  sampleIdPeriod: (process.env.SAMPLE_ID_PERIOD || 'MONTH').toUpperCase(),
+
+  // Lab QC samples - controls run alongside real (ROUTINE) samples
+  sampleTypes: ['ROUTINE', 'QC'],
+  qcTypes: ['BLANK', 'DUPLICATE', 'SPIKE'],
+  qcAcceptance: {
+    // Duplicates: relative percent difference must not exceed this (%)
+    duplicateMaxRpd: parseFloat(process.env.QC_DUPLICATE_MAX_RPD) || 20,
+    // Spikes: recovery must be within this range (%)
+    spikeRecoveryMin: parseFloat(process.env.QC_SPIKE_RECOVERY_MIN) || 80,
+    spikeRecoveryMax: parseFloat(process.env.QC_SPIKE_RECOVERY_MAX) || 120,
+    // Blanks: result must stay below this fraction of the acceptable limit
+    blankMaxFraction: parseFloat(process.env.QC_BLANK_MAX_FRACTION) || 0.1
+  },
+
+  // Duplicate submission check: same collector within N metres and M minutes
+  duplicateDetection: {
+    radiusMetres: parseFloat(process.env.DUPLICATE_RADIUS_METRES) || 50,
+    windowMinutes: parseFloat(process.env.DUPLICATE_WINDOW_MINUTES) || 30
+  },
+
+  // Sampling site registry - water source types and mobile "nearby" radius
+  siteSourceTypes: ['BOREWELL', 'OPEN_WELL', 'HANDPUMP', 'TAP', 'RESERVOIR', 'RIVER', 'LAKE', 'SPRING', 'OTHER'],
+  nearbySiteRadiusMetres: parseFloat(process.env.NEARBY_SITE_RADIUS_METRES) || 1000,
 
   // Test locations - which parameters are tested where
   testLocations: ['FIELD', 'LAB'],
 
-  userRoles: ['ADMIN', 'TEAM_MEMBER'],
+  // LAB_ANALYST: lab receipt, QC and LAB test only - no publishing or administration
+  userRoles: ['ADMIN', 'TEAM_MEMBER', 'LAB_ANALYST'],
   parameterStatuses: ['ACCEPTABLE', 'PERMISSIBLE', 'NOT_ACCEPTABLE'],
   parameterTypes: ['RANGE', 'MAX', 'ENUM', 'TEXT'],
+  // What happens when a LAB result is submitted after the max holding time
+  holdingTimeActions: ['FLAG', 'BLOCK'],
+  // Censored results: below (<) / above (>) a bound, ND = not detected
+  censoredQualifiers: ['<', '>', 'ND'],
   standardVersion: 'IS10500-2012'
 };
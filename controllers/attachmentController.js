@@ -0,0 +1,175 @@
+/**
+ * Attachment Controller
+ * Extra files on samples - photos, instrument printouts, lab certificates, field sheets
+ * Admin / lab (/api/samples) and mobile (/api/mobile)
+ *
+ * - Files are stored through uploadService (Cloudinary or local)
+ * - INTERNAL attachments are staff only, PUBLIC ones are served with published results
+ */
+
+const { Sample, AuditLog } = require('../models');
+const ApiResponse = require('../utils/ApiResponse');
+const { getFileUrl, deleteFile } = require('../services/uploadService');
+
+// Roles that may publish attachments to the public view
+const PUBLIC_ROLES = ['ADMIN', 'LAB_ANALYST'];
+
+/**
+ * Get attachments of a sample
+ * GET /api/samples/:id/attachments
+ * GET /api/mobile/samples/:id/attachments
+ */
+const getAttachments = async (req, res, next) => {
+  try {
+    const sample = await Sample.findOne({ _id: req.params.id, isDeleted: false })
+      .select('attachments')
+      .populate('attachments.uploadedBy', 'name role');
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    res.json(ApiResponse.success(sample.attachments, 'Attachments retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload an attachment to a sample
+ * POST /api/samples/:id/attachments
+ * POST /api/mobile/samples/:id/attachments
+ *
+ * Multipart: attachment (JPEG/PNG/PDF), type, caption?, visibility?
+ * - visibility PUBLIC: ADMIN / LAB_ANALYST only
+ */
+const addAttachment = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json(
+        ApiResponse.error('Attachment file is required', 400)
+      );
+    }
+
+    const url = getFileUrl(req.file);
+    const { type, caption = '', visibility = 'INTERNAL' } = req.body;
+
+    const sample = await Sample.findOne({ _id: req.params.id, isDeleted: false });
+
+    if (!sample) {
+      await deleteFile(url);
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    if (visibility === 'PUBLIC' && !PUBLIC_ROLES.includes(req.user.role)) {
+      await deleteFile(url);
+      return res.status(403).json(
+        ApiResponse.error('Only lab and admin staff can add public attachments', 403)
+      );
+    }
+
+    sample.attachments.push({
+      type,
+      url,
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size ?? null,
+      caption,
+      visibility,
+      uploadedBy: req.user._id,
+      uploadedAt: new Date()
+    });
+    const attachment = sample.attachments[sample.attachments.length - 1];
+
+    try {
+      await sample.save();
+    } catch (error) {
+      await deleteFile(url);
+      throw error;
+    }
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_ATTACHMENT_ADDED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        attachmentId: attachment._id,
+        type: attachment.type,
+        visibility: attachment.visibility,
+        fileName: attachment.fileName
+      },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json(ApiResponse.success(attachment, 'Attachment added successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an attachment - uploader or ADMIN
+ * DELETE /api/samples/:id/attachments/:attachmentId
+ * DELETE /api/mobile/samples/:id/attachments/:attachmentId
+ */
+const deleteAttachment = async (req, res, next) => {
+  try {
+    const sample = await Sample.findOne({ _id: req.params.id, isDeleted: false });
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    const attachment = sample.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json(
+        ApiResponse.error('Attachment not found', 404)
+      );
+    }
+
+    const isUploader = attachment.uploadedBy.toString() === req.user._id.toString();
+    if (!isUploader && req.user.role !== 'ADMIN') {
+      return res.status(403).json(
+        ApiResponse.error('Only the uploader or an admin can delete this attachment', 403)
+      );
+    }
+
+    const { url, type, visibility, fileName } = attachment;
+    attachment.deleteOne();
+    await sample.save();
+    await deleteFile(url);
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_ATTACHMENT_DELETED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        attachmentId: req.params.attachmentId,
+        type,
+        visibility,
+        fileName
+      },
+      ipAddress: req.ip
+    });
+
+    res.json(ApiResponse.success(null, 'Attachment deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAttachments,
+  addAttachment,
+  deleteAttachment
+};
@@ -0,0 +1,402 @@
+/**
+ * Campaign Controller
+ * Planned sampling rounds: date window, visits to sites / locations,
+ * required parameters and assigned TEAM_MEMBER collectors
+ */
+
+const { Campaign, User, Site, ParameterMaster, AuditLog } = require('../models');
+const ApiResponse = require('../utils/ApiResponse');
+
+/**
+ * Check that referenced users, parameters and sites exist
+ * Returns an error message or null
+ */
+const checkCampaignRefs = async ({ assignedTo, requiredParameters, visits }) => {
+  if (assignedTo && assignedTo.length > 0) {
+    const userCount = await User.countDocuments({
+      _id: { $in: assignedTo },
+      role: 'TEAM_MEMBER',
+      isActive: true
+    });
+    if (userCount !== new Set(assignedTo).size) {
+      return 'assignedTo must reference active TEAM_MEMBER users';
+    }
+  }
+
+  if (requiredParameters && requiredParameters.length > 0) {
+    const paramCount = await ParameterMaster.countDocuments({
+      _id: { $in: requiredParameters },
+      isActive: true
+    });
+    if (paramCount !== new Set(requiredParameters).size) {
+      return 'requiredParameters must reference active parameters';
+    }
+  }
+
+  const siteIds = (visits || []).filter(v => v.site).map(v => v.site);
+  if (siteIds.length > 0) {
+    const siteCount = await Site.countDocuments({ _id: { $in: siteIds }, isActive: true });
+    if (siteCount !== new Set(siteIds).size) {
+      return 'Visit sites must reference active sites';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build visit documents from request input
+ * Each visit targets a site or a {latitude, longitude} location
+ */
+const buildVisits = (visits, campaign) => visits.map(v => ({
+  site: v.site || null,
+  location: v.location ? {
+    type: 'Point',
+    coordinates: [parseFloat(v.location.longitude), parseFloat(v.location.latitude)]
+  } : undefined,
+  label: v.label || null,
+  assignedTo: v.assignedTo || null,
+  dueDate: v.dueDate || campaign.endDate
+}));
+
+/**
+ * Visit assignees must be part of the campaign team
+ */
+const checkVisitAssignees = (visits, campaignAssignees) => {
+  const team = campaignAssignees.map(u => u.toString());
+  const outsider = visits.find(v => v.assignedTo && !team.includes(v.assignedTo.toString()));
+  return outsider ? 'Visit assignees must be assigned to the campaign' : null;
+};
+
+/**
+ * Get all campaigns with progress summary
+ * GET /api/campaigns
+ */
+const getAllCampaigns = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, includeInactive } = req.query;
+
+    const query = {};
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [campaigns, total] = await Promise.all([
+      Campaign.find(query)
+        .populate('assignedTo', 'name email')
+        .sort({ startDate: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Campaign.countDocuments(query)
+    ]);
+
+    const now = new Date();
+    const data = campaigns.map(campaign => {
+      const obj = campaign.toObject();
+      const progress = campaign.getProgress(now);
+      delete obj.visits;
+      delete progress.byAssignee;
+      return { ...obj, progress };
+    });
+
+    res.json(
+      ApiResponse.paginated(data, {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }, 'Campaigns retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get campaign by ID
+ * GET /api/campaigns/:id
+ */
+const getCampaignById = async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id)
+      .populate('assignedTo', 'name email')
+      .populate('requiredParameters', 'code name unit testLocation')
+      .populate('visits.site', 'code name sourceType')
+      .populate('visits.sample', 'sampleId lifecycleStatus overallStatus');
+
+    if (!campaign) {
+      return res.status(404).json(
+        ApiResponse.error('Campaign not found', 404)
+      );
+    }
+
+    res.json(ApiResponse.success(campaign, 'Campaign retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create campaign - ADMIN only
+ * POST /api/campaigns
+ *
+ * Body: { name, description?, startDate, endDate, requiredParameters?, assignedTo, visits? }
+ * visits: [{ site? | location? {latitude, longitude}, label?, assignedTo?, dueDate? }]
+ * - dueDate defaults to the campaign endDate and must be within the campaign dates
+ */
+const createCampaign = async (req, res, next) => {
+  try {
+    const { name, description, startDate, endDate, requiredParameters = [], assignedTo, visits = [] } = req.body;
+
+    const refError = await checkCampaignRefs({ assignedTo, requiredParameters, visits });
+    if (refError) {
+      return res.status(400).json(ApiResponse.error(refError, 400));
+    }
+
+    const assigneeError = checkVisitAssignees(visits, assignedTo);
+    if (assigneeError) {
+      return res.status(400).json(ApiResponse.error(assigneeError, 400));
+    }
+
+    const campaign = await Campaign.create({
+      name,
+      description,
+      startDate,
+      endDate,
+      requiredParameters,
+      assignedTo,
+      visits: buildVisits(visits, { endDate }),
+      createdBy: req.user._id
+    });
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'CAMPAIGN_CREATED',
+      performedBy: req.user._id,
+      details: {
+        campaignId: campaign._id,
+        name: campaign.name,
+        visitsCount: campaign.visits.length,
+        assignedCount: campaign.assignedTo.length
+      },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json(ApiResponse.success(campaign, 'Campaign created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update campaign details - ADMIN only
+ * PATCH /api/campaigns/:id
+ *
+ * Body: { name?, description?, startDate?, endDate?, requiredParameters?, assignedTo?, isActive? }
+ * - open visits due on the old endDate (the default) move to the new endDate
+ * - rejected when other open visits would be due outside the new dates
+ */
+const updateCampaign = async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json(
+        ApiResponse.error('Campaign not found', 404)
+      );
+    }
+
+    const { assignedTo, requiredParameters } = req.body;
+    const refError = await checkCampaignRefs({ assignedTo, requiredParameters });
+    if (refError) {
+      return res.status(400).json(ApiResponse.error(refError, 400));
+    }
+
+    if (assignedTo) {
+      const assigneeError = checkVisitAssignees(campaign.visits.filter(v => !v.sample), assignedTo);
+      if (assigneeError) {
+        return res.status(400).json(ApiResponse.error(`${assigneeError} - reassign open visits first`, 400));
+      }
+    }
+
+    const previousEndDate = campaign.endDate;
+
+    const fields = ['name', 'description', 'startDate', 'endDate', 'requiredParameters', 'assignedTo', 'isActive'];
+    const updated = fields.filter(field => req.body[field] !== undefined);
+    updated.forEach(field => {
+      campaign[field] = req.body[field];
+    });
+
+    const movedVisits = campaign.moveDefaultDueDates(previousEndDate);
+
+    // Other open visits must still fit the campaign dates
+    await campaign.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'CAMPAIGN_UPDATED',
+      performedBy: req.user._id,
+      details: { campaignId: campaign._id, name: campaign.name, fields: updated, movedVisits },
+      ipAddress: req.ip
+    });
+
+    const message = movedVisits > 0
+      ? `Campaign updated successfully, ${movedVisits} open visit(s) moved to the new end date`
+      : 'Campaign updated successfully';
+    res.json(ApiResponse.success(campaign, message));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add visits to a campaign - ADMIN only
+ * POST /api/campaigns/:id/visits
+ *
+ * Body: { visits: [{ site? | location?, label?, assignedTo?, dueDate? }] }
+ */
+const addVisits = async (req, res, next) => {
+  try {
+    const { visits } = req.body;
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json(
+        ApiResponse.error('Campaign not found', 404)
+      );
+    }
+
+    const refError = await checkCampaignRefs({ visits });
+    if (refError) {
+      return res.status(400).json(ApiResponse.error(refError, 400));
+    }
+
+    const assigneeError = checkVisitAssignees(visits, campaign.assignedTo);
+    if (assigneeError) {
+      return res.status(400).json(ApiResponse.error(assigneeError, 400));
+    }
+
+    campaign.visits.push(...buildVisits(visits, campaign));
+    await campaign.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'CAMPAIGN_UPDATED',
+      performedBy: req.user._id,
+      details: { campaignId: campaign._id, name: campaign.name, visitsAdded: visits.length },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json(ApiResponse.success(campaign.visits, 'Visits added successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an open visit - ADMIN only
+ * DELETE /api/campaigns/:id/visits/:visitId
+ *
+ * Completed visits stay - they link to a sample
+ */
+const removeVisit = async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json(
+        ApiResponse.error('Campaign not found', 404)
+      );
+    }
+
+    const visit = campaign.visits.id(req.params.visitId);
+    if (!visit) {
+      return res.status(404).json(
+        ApiResponse.error('Visit not found', 404)
+      );
+    }
+
+    if (visit.sample) {
+      return res.status(400).json(
+        ApiResponse.error('Cannot remove a completed visit', 400)
+      );
+    }
+
+    visit.deleteOne();
+    await campaign.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'CAMPAIGN_UPDATED',
+      performedBy: req.user._id,
+      details: { campaignId: campaign._id, name: campaign.name, visitRemoved: req.params.visitId },
+      ipAddress: req.ip
+    });
+
+    res.json(ApiResponse.success(null, 'Visit removed successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Campaign progress - completed, overdue and remaining visits - ADMIN only
+ * GET /api/campaigns/:id/progress
+ */
+const getCampaignProgress = async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id)
+      .populate('visits.site', 'code name')
+      .populate('visits.sample', 'sampleId lifecycleStatus overallStatus');
+
+    if (!campaign) {
+      return res.status(404).json(
+        ApiResponse.error('Campaign not found', 404)
+      );
+    }
+
+    const now = new Date();
+    const progress = campaign.getProgress(now);
+
+    // Resolve collector names for the per-assignee breakdown
+    const userIds = progress.byAssignee.filter(a => a.user).map(a => a.user);
+    const users = await User.find({ _id: { $in: userIds } }).select('name email').lean();
+    progress.byAssignee = progress.byAssignee.map(a => ({
+      ...a,
+      user: a.user ? users.find(u => u._id.toString() === a.user) || { _id: a.user } : null
+    }));
+
+    const visits = campaign.visits.map(visit => ({
+      ...visit.toObject(),
+      status: campaign.getVisitStatus(visit, now)
+    }));
+
+    res.json(ApiResponse.success({
+      campaign: {
+        _id: campaign._id,
+        name: campaign.name,
+        startDate: campaign.startDate,
+        endDate: campaign.endDate,
+        isActive: campaign.isActive
+      },
+      progress,
+      overdueVisits: visits.filter(v => v.status === 'OVERDUE'),
+      remainingVisits: visits.filter(v => v.status === 'REMAINING'),
+      completedVisits: visits.filter(v => v.status === 'COMPLETED')
+    }, 'Campaign progress retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllCampaigns,
+  getCampaignById,
+  createCampaign,
+  updateCampaign,
+  addVisits,
+  removeVisit,
+  getCampaignProgress
+};
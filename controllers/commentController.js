@@ -0,0 +1,116 @@
+/**
+ * Comment Controller
+ * Comment threads on samples - admin / lab (/api/samples) and mobile (/api/mobile)
+ *
+ * - Internal comments are visible to ADMIN and LAB_ANALYST only
+ * - Comments live in their own collection and are never served by publicController
+ */
+
+const { Comment, Sample, User, AuditLog } = require('../models');
+const ApiResponse = require('../utils/ApiResponse');
+
+// Roles that may read and write internal comments
+const INTERNAL_ROLES = ['ADMIN', 'LAB_ANALYST'];
+
+const canSeeInternal = (user) => INTERNAL_ROLES.includes(user.role);
+
+/**
+ * Get comments of a sample
+ * GET /api/samples/:id/comments
+ * GET /api/mobile/samples/:id/comments
+ */
+const getComments = async (req, res, next) => {
+  try {
+    const sample = await Sample.findOne({ _id: req.params.id, isDeleted: false }).select('_id');
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    const comments = await Comment.findForSample(sample._id, { includeInternal: canSeeInternal(req.user) });
+
+    res.json(ApiResponse.success(comments, 'Comments retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a comment to a sample
+ * POST /api/samples/:id/comments
+ * POST /api/mobile/samples/:id/comments
+ *
+ * Body: { text, mention?, internal? }
+ * - mention: ID of an active user the comment is addressed to
+ * - internal: staff-only comment (ADMIN / LAB_ANALYST)
+ */
+const addComment = async (req, res, next) => {
+  try {
+    const { text, mention, internal = false } = req.body;
+    const sample = await Sample.findOne({ _id: req.params.id, isDeleted: false }).select('_id sampleId');
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    if (internal && !canSeeInternal(req.user)) {
+      return res.status(403).json(
+        ApiResponse.error('Only lab and admin staff can post internal comments', 403)
+      );
+    }
+
+    if (mention) {
+      const mentioned = await User.findOne({ _id: mention, isActive: true }).select('role');
+      if (!mentioned) {
+        return res.status(400).json(
+          ApiResponse.error('Mentioned user not found or inactive', 400)
+        );
+      }
+      // The mentioned user must be able to read the comment
+      if (internal && !canSeeInternal(mentioned)) {
+        return res.status(400).json(
+          ApiResponse.error('Cannot mention a TEAM_MEMBER in an internal comment', 400)
+        );
+      }
+    }
+
+    const comment = await Comment.create({
+      sample: sample._id,
+      author: req.user._id,
+      text,
+      mention: mention || null,
+      internal
+    });
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_COMMENTED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        commentId: comment._id,
+        mention: comment.mention,
+        internal: comment.internal
+      },
+      ipAddress: req.ip
+    });
+
+    const populatedComment = await Comment.findById(comment._id)
+      .populate('author', 'name role')
+      .populate('mention', 'name role');
+
+    res.status(201).json(ApiResponse.success(populatedComment, 'Comment added successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getComments,
+  addComment
+};
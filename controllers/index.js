@@ -4,6 +4,10 @@ const userController = require('./userController');
 const publicController = require('./publicController');
 const parameterController = require('./parameterController');
 const mobileController = require('./mobileController');
+const siteController = require('./siteController');
+const campaignController = require('./campaignController');
+const commentController = require('./commentController');
+const standardController = require('./standardController');
 
 module.exports = {
   authController,
@@ -11,5 +15,9 @@ module.exports = {
   userController,
   publicController,
   parameterController,
-  mobileController
+  mobileController,
+  siteController,
+  campaignController,
+  commentController,
+  standardController
 };
@@ -5,15 +5,149 @@
  * NEW DESIGN:
  * - FIELD test: Just stores {parameterRef, value} - NO status calculation
  * - Status calculation happens ONLY when admin submits LAB test
- * - Uses testInfo nested object for tracking test status
+ * - Uses lifecycleStatus (via services/lifecycleService) for tracking sample state
  */
 
-const { Sample, AuditLog, ParameterMaster } = require('../models');
+const { Sample, AuditLog, ParameterMaster, Site, Campaign, Standard } = require('../models');
 const ApiResponse = require('../utils/ApiResponse');
-const { processUploadedFiles } = require('../services/uploadService');
+const { duplicateDetection, nearbySiteRadiusMetres, standardVersion } = require('../config');
+const { processUploadedFiles, deleteFile } = require('../services/uploadService');
+const { initializeLifecycle, checkTransition, applyTransition } = require('../services/lifecycleService');
 
 /**
- * Create new sample with field test values
+ * Validate FIELD parameter values and build their snapshots
+ * Input format: [{id, value, unit?}, ...] - values are converted to the canonical unit
+ * Numeric values may be censored: "<0.01", ">2000", "ND"
+ * Snapshot limits come from the sample's standard (null = ParameterMaster limits)
+ * Returns { parameters } or { error }
+ */
+const buildFieldParameters = async (parsedParameters, standard = null) => {
+  // Extract parameter IDs for validation
+  const parameterIds = parsedParameters.map(p => p.id);
+
+  // Validate all submitted parameters are FIELD parameters
+  const paramDocs = await ParameterMaster.find({
+    _id: { $in: parameterIds },
+    testLocation: 'FIELD',
+    isActive: true
+  });
+
+  if (paramDocs.length !== parameterIds.length) {
+    // Some parameters are not FIELD type or don't exist
+    const validIds = paramDocs.map(p => p._id.toString());
+    const invalidIds = parameterIds.filter(id => !validIds.includes(id));
+    return { error: `Invalid FIELD parameter IDs: ${invalidIds.join(', ')}` };
+  }
+
+  // Parse censored values / convert to the canonical unit, then reject physically impossible / invalid values
+  const converted = [];
+  for (const p of parsedParameters) {
+    const paramMaster = paramDocs.find(doc => doc._id.toString() === p.id);
+    const conversion = paramMaster.parseSubmittedValue(p.value, p.unit);
+    if (conversion.error) {
+      return { error: conversion.error };
+    }
+    const { isValid, error } = paramMaster.validatePhysicalLimits(conversion.value);
+    if (!isValid) {
+      return { error };
+    }
+    converted.push(conversion);
+  }
+
+  // Store full snapshot so View modal can display parameter info
+  const parameters = parsedParameters.map((p, index) => {
+    const paramMaster = paramDocs.find(doc => doc._id.toString() === p.id);
+    const { value, rawValue, rawUnit, qualifier, belowQuantitation } = converted[index];
+    return {
+      parameterRef: p.id,
+      // SNAPSHOT data from ParameterMaster
+      code: paramMaster.code,
+      name: paramMaster.name,
+      unit: paramMaster.unit,
+      type: paramMaster.type,
+      testLocation: 'FIELD',
+      ...paramMaster.getLimitSnapshot(paramMaster.getLimits(standard)),
+      value,
+      rawValue,
+      rawUnit,
+      qualifier,
+      belowQuantitation,
+      status: null  // Status will be calculated after LAB test
+    };
+  });
+
+  return { parameters };
+};
+
+/**
+ * Claim a campaign visit for an unsaved sample (only if still open - another upload may have won)
+ * Returns true when claimed
+ */
+const claimVisit = async (campaignDoc, visitDoc, sample, user, at) => {
+  const claim = await Campaign.updateOne(
+    { _id: campaignDoc._id, visits: { $elemMatch: { _id: visitDoc._id, sample: null } } },
+    {
+      $set: {
+        'visits.$.sample': sample._id,
+        'visits.$.fulfilledBy': user._id,
+        'visits.$.fulfilledAt': at
+      }
+    }
+  );
+  return claim.modifiedCount > 0;
+};
+
+/**
+ * Release a visit claim when the sample could not be saved
+ */
+const releaseVisit = (campaignDoc, visitDoc, sample) => Campaign.updateOne(
+  { _id: campaignDoc._id, visits: { $elemMatch: { _id: visitDoc._id, sample: sample._id } } },
+  {
+    $set: {
+      'visits.$.sample': null,
+      'visits.$.fulfilledBy': null,
+      'visits.$.fulfilledAt': null
+    }
+  }
+);
+
+/**
+ * Claim a rejected original for an unsaved re-collection: REJECTED → RECOLLECTED
+ * Only if still rejected for RECOLLECT - a concurrent re-collection may have won
+ * Returns true when claimed
+ */
+const claimOriginal = async (originalSample, sample, user, at) => {
+  const sampleId = await sample.assignSampleId();
+  applyTransition(originalSample, 'RECOLLECT', { user, reason: `Re-collected as ${sampleId}`, at });
+  const entry = originalSample.statusHistory[originalSample.statusHistory.length - 1].toObject();
+
+  const claim = await Sample.updateOne(
+    { _id: originalSample._id, isDeleted: false, lifecycleStatus: 'REJECTED', 'rejection.resolution': 'RECOLLECT' },
+    {
+      $set: { lifecycleStatus: 'RECOLLECTED' },
+      $push: { statusHistory: entry },
+      $addToSet: { followUps: sample._id }
+    }
+  );
+  return claim.modifiedCount > 0;
+};
+
+/**
+ * Release an original claim when the re-collection could not be saved
+ */
+const releaseOriginal = (originalSample, sample) => Sample.updateOne(
+  { _id: originalSample._id, lifecycleStatus: 'RECOLLECTED', followUps: sample._id },
+  {
+    $set: { lifecycleStatus: 'REJECTED' },
+    $pull: {
+      followUps: sample._id,
+      statusHistory: { action: 'RECOLLECT', reason: `Re-collected as ${sample.sampleId}` }
+    }
+  }
+);
+
+/**
+ * Create new sample, optionally with field test values
  * POST /api/mobile/samples
  *
  * REQUIRED:
@@ -21,18 +155,34 @@ const { processUploadedFiles } = require('../services/uploadService');
  * - location: JSON {latitude, longitude}
  * - sampleImage: Water sample photo (file)
  * - locationImage: Location photo (file)
- * - parameters: [{id, value}, ...]
  *
  * OPTIONAL:
+ * - parameters: [{id, value, unit?}, ...] - without them the sample stays COLLECTED
+ *   (unit: one of the parameter's accepted units, converted to its canonical unit)
+ *   and is field tested later via POST /api/mobile/samples/:id/field-test
  * - address: Location address
  * - collectedAt: Collection date
+ * - resampleOf: ID of the original sample this one re-collects
+ *   (must be REJECTED with resolution RECOLLECT, it then moves to RECOLLECTED)
+ * - idPrefix: Lab / region sample ID prefix (default: first configured prefix)
+ * - confirmDuplicate: true to save despite a possible duplicate warning
+ * - site: ID of the registered sampling site (see GET /api/mobile/sites/nearby)
+ * - campaign + visit: scheduled visit this sample fulfils (see GET /api/mobile/visits)
+ * - standard: code of the drinking-water standard (default: the default standard)
  *
  * RESPONSE:
- * { sampleId, createdAt, message } or { error }
+ * { sampleId, lifecycleStatus, createdAt, message } or { error }
+ * 409 { duplicateCandidates } when the same collector submitted a sample nearby
+ * (config.duplicateDetection radius / time window) and confirmDuplicate is not set
+ * 409 when another upload completed the campaign visit or re-collected the original first
+ * (nothing is saved)
  */
 const createSample = async (req, res, next) => {
   try {
-    const { title, address, location, collectedAt, parameters } = req.body;
+    const {
+      title, address, location, collectedAt, parameters, resampleOf, idPrefix, confirmDuplicate, site, campaign, visit,
+      standard: standardCode
+    } = req.body;
 
     // REQUIRED: Sample image must be uploaded
     if (!req.files || !req.files.sampleImage) {
@@ -58,7 +208,7 @@ const createSample = async (req, res, next) => {
       );
     }
 
-    // Parse parameters - REQUIRED (simplified format: {id, value})
+    // Parse parameters - OPTIONAL (simplified format: {id, value})
     let parsedParameters = [];
     if (parameters) {
       parsedParameters = typeof parameters === 'string'
@@ -66,96 +216,179 @@ const createSample = async (req, res, next) => {
         : parameters;
     }
 
-    if (parsedParameters.length === 0) {
-      return res.status(400).json(
-        ApiResponse.error('parameters is required - send [{id, value}, ...]', 400)
-      );
+    // Standard the results will be evaluated against
+    const { standard, error: standardError } = await Standard.selectFor(standardCode);
+    if (standardError) {
+      return res.status(400).json(ApiResponse.error(standardError, 400));
     }
 
-    // Extract parameter IDs for validation
-    const parameterIds = parsedParameters.map(p => p.id);
+    // Validate FIELD values (collect-only samples have none)
+    let sampleParameters = [];
+    if (parsedParameters.length > 0) {
+      const fieldResult = await buildFieldParameters(parsedParameters, standard);
+      if (fieldResult.error) {
+        return res.status(400).json(ApiResponse.error(fieldResult.error, 400));
+      }
+      sampleParameters = fieldResult.parameters;
+    }
 
-    // Validate all submitted parameters are FIELD parameters
-    const paramDocs = await ParameterMaster.find({
-      _id: { $in: parameterIds },
-      testLocation: 'FIELD',
-      isActive: true
-    });
+    // Original sample must exist and be rejected for re-collection
+    let originalSample = null;
+    if (resampleOf) {
+      originalSample = await Sample.findOne({ _id: resampleOf, isDeleted: false });
+      if (!originalSample) {
+        return res.status(400).json(
+          ApiResponse.error('Original sample (resampleOf) not found', 400)
+        );
+      }
+      const recollectError = checkTransition(originalSample, 'RECOLLECT', req.user);
+      if (recollectError) {
+        return res.status(400).json(
+          ApiResponse.error(`Original sample ${originalSample.sampleId} cannot be re-collected: ${recollectError.message}`, 400)
+        );
+      }
+    }
 
-    if (paramDocs.length !== parameterIds.length) {
-      // Some parameters are not FIELD type or don't exist
-      const validIds = paramDocs.map(p => p._id.toString());
-      const invalidIds = parameterIds.filter(id => !validIds.includes(id));
+    // Registered site must exist and be active
+    if (site && !(await Site.exists({ _id: site, isActive: true }))) {
       return res.status(400).json(
-        ApiResponse.error(`Invalid FIELD parameter IDs: ${invalidIds.join(', ')}`, 400)
+        ApiResponse.error('Site not found or inactive', 400)
       );
     }
 
+    // Scheduled visit must be open and assigned to this collector
+    let campaignDoc = null;
+    let visitDoc = null;
+    if (campaign) {
+      campaignDoc = await Campaign.findOne({ _id: campaign, isActive: true });
+      visitDoc = campaignDoc ? campaignDoc.visits.id(visit) : null;
+      if (!visitDoc) {
+        return res.status(400).json(
+          ApiResponse.error('Campaign visit not found or campaign inactive', 400)
+        );
+      }
+      if (visitDoc.sample) {
+        return res.status(400).json(
+          ApiResponse.error('Campaign visit is already completed', 400)
+        );
+      }
+      if (!campaignDoc.isAssigned(visitDoc, req.user._id)) {
+        return res.status(403).json(
+          ApiResponse.error('Campaign visit is not assigned to you', 403)
+        );
+      }
+    }
+
     // Process uploaded images
     const imageUrls = processUploadedFiles(req.files);
 
     const now = new Date();
+    const coordinates = [parseFloat(locationData.longitude), parseFloat(locationData.latitude)];
 
-    // Create sample with FIELD test values (NO status calculation)
-    // Store full snapshot so View modal can display parameter info
-    const sampleParameters = parsedParameters.map(p => {
-      const paramMaster = paramDocs.find(doc => doc._id.toString() === p.id);
-      return {
-        parameterRef: p.id,
-        // SNAPSHOT data from ParameterMaster
-        code: paramMaster.code,
-        name: paramMaster.name,
-        unit: paramMaster.unit,
-        type: paramMaster.type,
-        testLocation: 'FIELD',
-        acceptableLimit: {
-          min: paramMaster.acceptableLimit?.min ?? null,
-          max: paramMaster.acceptableLimit?.max ?? null
-        },
-        permissibleLimit: {
-          min: paramMaster.permissibleLimit?.min ?? null,
-          max: paramMaster.permissibleLimit?.max ?? null
-        },
-        value: p.value,
-        status: null  // Status will be calculated after LAB test
-      };
+    // Same bottle submitted twice (e.g. after a flaky upload)?
+    const duplicateCandidates = await Sample.findPossibleDuplicates({
+      collectedBy: req.user._id,
+      coordinates,
+      collectedAt: collectedAt || now,
+      ...duplicateDetection
     });
+    const duplicateOverride = duplicateCandidates.length > 0 && confirmDuplicate === true;
+
+    if (duplicateCandidates.length > 0 && !duplicateOverride) {
+      // Client re-submits with images after confirming - don't keep these
+      await Promise.all(Object.values(imageUrls).map(url => deleteFile(url)));
+
+      return res.status(409).json({
+        success: false,
+        statusCode: 409,
+        message: `Possible duplicate: you submitted ${duplicateCandidates.length} sample(s) within ` +
+          `${duplicateDetection.radiusMetres} m and ${duplicateDetection.windowMinutes} min. ` +
+          'Send confirmDuplicate=true to save anyway.',
+        data: { duplicateCandidates }
+      });
+    }
 
     const sampleData = {
       title,
       address,
       location: {
         type: 'Point',
-        coordinates: [parseFloat(locationData.longitude), parseFloat(locationData.latitude)]
+        coordinates
       },
       collectedBy: req.user._id,
       collectedAt: collectedAt || now,
       images: imageUrls,
-      testInfo: {
-        fieldTested: true,
-        fieldTestedAt: now,
-        labTested: false,
-        labTestedBy: null,
-        labTestedAt: null,
-        published: false,
-        publishedAt: null
-      },
       parameters: sampleParameters,
-      overallStatus: null
+      overallStatus: null,
+      standard: standard ? standard._id : null,
+      standardVersion: standard ? standard.code : standardVersion,
+      site: site || visitDoc?.site || null,
+      campaign: campaignDoc ? campaignDoc._id : null,
+      campaignVisit: visitDoc ? visitDoc._id : null,
+      resampleOf: originalSample ? originalSample._id : null
     };
 
-    // Create sample
-    const sample = await Sample.create(sampleData);
+    // Create sample: COLLECTED (→ FIELD_TESTED when values were sent)
+    const sample = new Sample(sampleData);
+    sample.$locals.idPrefix = idPrefix;
+    initializeLifecycle(sample, { user: req.user, at: now });
+
+    // Chain of custody starts with the collector
+    sample.custodyLog = [{
+      event: 'COLLECTED',
+      person: req.user.name,
+      personRef: req.user._id,
+      timestamp: sampleData.collectedAt,
+      recordedBy: req.user._id
+    }];
+
+    if (sampleParameters.length > 0) {
+      applyTransition(sample, 'FIELD_TEST', { user: req.user, at: now });
+    }
+
+    // Claim the original and the campaign visit before saving - concurrent uploads may have won
+    if (originalSample && !(await claimOriginal(originalSample, sample, req.user, now))) {
+      await Promise.all(Object.values(imageUrls).map(url => deleteFile(url)));
+      return res.status(409).json(
+        ApiResponse.error(`Original sample ${originalSample.sampleId} was re-collected by another upload`, 409)
+      );
+    }
+    if (visitDoc && !(await claimVisit(campaignDoc, visitDoc, sample, req.user, now))) {
+      if (originalSample) {
+        await releaseOriginal(originalSample, sample);
+      }
+      await Promise.all(Object.values(imageUrls).map(url => deleteFile(url)));
+      return res.status(409).json(
+        ApiResponse.error('Campaign visit was completed by another upload', 409)
+      );
+    }
+
+    try {
+      await sample.save();
+    } catch (error) {
+      // Release the claims so the collector can submit again
+      await Promise.all([
+        originalSample && releaseOriginal(originalSample, sample),
+        visitDoc && releaseVisit(campaignDoc, visitDoc, sample)
+      ]);
+      throw error;
+    }
 
     // Log action
     await AuditLog.logAction({
-      action: 'SAMPLE_CREATED_WITH_FIELD_TEST',
+      action: sampleParameters.length > 0 ? 'SAMPLE_CREATED_WITH_FIELD_TEST' : 'SAMPLE_CREATED',
       performedBy: req.user._id,
       sampleRef: sample._id,
       details: {
         sampleId: sample.sampleId,
         title,
-        parametersCount: parsedParameters.length
+        parametersCount: parsedParameters.length,
+        resampleOf: originalSample ? originalSample.sampleId : null,
+        campaign: visitDoc ? { campaignId: campaignDoc._id, visitId: visitDoc._id } : null,
+        ...(duplicateOverride && {
+          duplicateOverride: true,
+          duplicateCandidates: duplicateCandidates.map(c => c.sampleId)
+        })
       },
       ipAddress: req.ip
     });
@@ -166,6 +399,7 @@ const createSample = async (req, res, next) => {
       message: 'Sample created successfully',
       data: {
         sampleId: sample.sampleId,
+        lifecycleStatus: sample.lifecycleStatus,
         createdAt: sample.createdAt
       }
     });
@@ -174,6 +408,194 @@ const createSample = async (req, res, next) => {
   }
 };
 
+/**
+ * Submit FIELD test values for a collected sample
+ * POST /api/mobile/samples/:id/field-test
+ *
+ * - COLLECTED → FIELD_TESTED
+ * - REJECTED (RETEST_FIELD) → FIELD_TESTED, replaces previous FIELD values
+ * - Only the collector (or an ADMIN) can submit
+ *
+ * Body: { parameters: [{id, value, unit?}, ...] }
+ */
+const submitFieldTest = async (req, res, next) => {
+  try {
+    const { parameters } = req.body;
+    const sample = await Sample.findOne({ _id: req.params.id, isDeleted: false });
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    if (req.user.role !== 'ADMIN' && sample.collectedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json(
+        ApiResponse.error('You can only field test samples you collected', 403)
+      );
+    }
+
+    const standard = sample.standard ? await Standard.findById(sample.standard) : null;
+    const fieldResult = await buildFieldParameters(parameters, standard);
+    if (fieldResult.error) {
+      return res.status(400).json(ApiResponse.error(fieldResult.error, 400));
+    }
+
+    const previousStatus = sample.lifecycleStatus;
+    const now = new Date();
+    sample.parameters = fieldResult.parameters;
+
+    const transitionError = checkTransition(sample, 'FIELD_TEST', req.user);
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(
+        ApiResponse.error(transitionError.message, transitionError.statusCode)
+      );
+    }
+
+    applyTransition(sample, 'FIELD_TEST', { user: req.user, at: now });
+    await sample.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_FIELD_TESTED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        parametersCount: fieldResult.parameters.length,
+        previousStatus
+      },
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Field test submitted successfully',
+      data: {
+        sampleId: sample.sampleId,
+        lifecycleStatus: sample.lifecycleStatus,
+        fieldTestedAt: sample.testInfo.fieldTestedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record custody dispatch - collector hands the bottle to a courier
+ * POST /api/mobile/samples/:id/custody/dispatch
+ *
+ * Body: { handedTo, storageTemperature, sealCondition, timestamp?, notes? }
+ */
+const dispatchSample = async (req, res, next) => {
+  try {
+    const { handedTo, storageTemperature, sealCondition, timestamp, notes } = req.body;
+    const sample = await Sample.findOne({ _id: req.params.id, isDeleted: false });
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    if (req.user.role !== 'ADMIN' && sample.collectedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json(
+        ApiResponse.error('You can only dispatch samples you collected', 403)
+      );
+    }
+
+    if (!['COLLECTED', 'FIELD_TESTED'].includes(sample.lifecycleStatus)) {
+      return res.status(400).json(
+        ApiResponse.error(`Cannot dispatch a sample in ${sample.lifecycleStatus} status`, 400)
+      );
+    }
+
+    if (sample.hasCustodyEvent('LAB_RECEIVED')) {
+      return res.status(400).json(
+        ApiResponse.error('Sample has already been received by the lab', 400)
+      );
+    }
+
+    const custodyEvent = {
+      event: 'DISPATCHED',
+      person: handedTo,
+      timestamp: timestamp || new Date(),
+      storageTemperature: parseFloat(storageTemperature),
+      sealCondition,
+      notes: notes || '',
+      recordedBy: req.user._id
+    };
+    sample.custodyLog.push(custodyEvent);
+    await sample.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_CUSTODY_DISPATCHED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        handedTo,
+        storageTemperature: custodyEvent.storageTemperature,
+        sealCondition
+      },
+      ipAddress: req.ip
+    });
+
+    res.json(ApiResponse.success(sample.custodyLog, 'Sample dispatch recorded'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update own sample metadata (title, address, location, collectedAt, site)
+ * PATCH /api/mobile/samples/:id
+ *
+ * - Collectors can edit their own samples before LAB test
+ * - Old and new values are recorded in the audit log
+ */
+const updateMobileSample = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const sample = await Sample.findById(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    const { changes, error: editError } = await sample.editMetadata(req.body, { user: req.user, reason });
+    if (editError) {
+      return res.status(editError.statusCode).json(
+        ApiResponse.error(editError.message, editError.statusCode)
+      );
+    }
+
+    await sample.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_UPDATED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        lifecycleStatus: sample.lifecycleStatus,
+        reason: reason || null,
+        changes
+      },
+      ipAddress: req.ip
+    });
+
+    res.json(ApiResponse.success(sample, 'Sample updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get samples for mobile user (their own samples only)
  * GET /api/mobile/samples
@@ -182,7 +604,7 @@ const createSample = async (req, res, next) => {
  * - page: Page number (default: 1)
  * - limit: Items per page (default: 10)
  * - period: Time filter - 'today' | 'yesterday' | 'week' | 'month' | 'all' (default: 'all')
- * - status: Status filter - 'pending' | 'lab_done' | 'published' | 'all' (default: 'all')
+ * - status: Status filter - 'collected' | 'pending' | 'rejected' | 'lab_done' | 'published' | 'all' (default: 'all')
  */
 const getMobileSamples = async (req, res, next) => {
   try {
@@ -191,6 +613,7 @@ const getMobileSamples = async (req, res, next) => {
     // Base query - only show user's own samples
     const query = {
       isDeleted: false,
+      sampleType: { $ne: 'QC' },  // Lab QC samples are not field work
       collectedBy: req.user._id  // Only samples created by this user
     };
 
@@ -222,18 +645,24 @@ const getMobileSamples = async (req, res, next) => {
 
     // Status filter
     switch (status) {
+      case 'collected':
+        // Collected, waiting for field test
+        query.lifecycleStatus = 'COLLECTED';
+        break;
       case 'pending':
         // Field tested but not lab tested
-        query['testInfo.fieldTested'] = true;
-        query['testInfo.labTested'] = false;
+        query.lifecycleStatus = 'FIELD_TESTED';
+        break;
+      case 'rejected':
+        // Returned by admin - re-collect or re-test in field
+        query.lifecycleStatus = 'REJECTED';
         break;
       case 'lab_done':
         // Lab tested but not published
-        query['testInfo.labTested'] = true;
-        query['testInfo.published'] = false;
+        query.lifecycleStatus = 'LAB_TESTED';
         break;
       case 'published':
-        query['testInfo.published'] = true;
+        query.lifecycleStatus = 'PUBLISHED';
         break;
       // 'all' - no status filter
     }
@@ -242,7 +671,7 @@ const getMobileSamples = async (req, res, next) => {
 
     const [samples, total, stats] = await Promise.all([
       Sample.find(query)
-        .select('sampleId title address images collectedAt testInfo overallStatus createdAt')
+        .select('sampleId title address images collectedAt testInfo lifecycleStatus rejection overallStatus createdAt')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit)),
@@ -284,7 +713,7 @@ const getMySampleStats = async (userId) => {
 
   // Single aggregation query with $facet to get all stats at once
   const result = await Sample.aggregate([
-    { $match: { collectedBy: userId, isDeleted: false } },
+    { $match: { collectedBy: userId, isDeleted: false, sampleType: { $ne: 'QC' } } },
     {
       $facet: {
         total: [{ $count: 'count' }],
@@ -304,16 +733,24 @@ const getMySampleStats = async (userId) => {
           { $match: { createdAt: { $gte: startOfMonth } } },
           { $count: 'count' }
         ],
+        collected: [
+          { $match: { lifecycleStatus: 'COLLECTED' } },
+          { $count: 'count' }
+        ],
         pending: [
-          { $match: { 'testInfo.fieldTested': true, 'testInfo.labTested': false } },
+          { $match: { lifecycleStatus: 'FIELD_TESTED' } },
+          { $count: 'count' }
+        ],
+        rejected: [
+          { $match: { lifecycleStatus: 'REJECTED' } },
           { $count: 'count' }
         ],
         labDone: [
-          { $match: { 'testInfo.labTested': true, 'testInfo.published': false } },
+          { $match: { lifecycleStatus: 'LAB_TESTED' } },
           { $count: 'count' }
         ],
         published: [
-          { $match: { 'testInfo.published': true } },
+          { $match: { lifecycleStatus: 'PUBLISHED' } },
           { $count: 'count' }
         ]
       }
@@ -331,7 +768,9 @@ const getMySampleStats = async (userId) => {
       total: stats.total[0]?.count || 0
     },
     byStatus: {
+      collected: stats.collected[0]?.count || 0,
       pending: stats.pending[0]?.count || 0,
+      rejected: stats.rejected[0]?.count || 0,
       labDone: stats.labDone[0]?.count || 0,
       published: stats.published[0]?.count || 0
     }
@@ -363,6 +802,73 @@ const getMobileSampleById = async (req, res, next) => {
   }
 };
 
+/**
+ * Get my pending campaign visits
+ * GET /api/mobile/visits
+ *
+ * - Open visits of active campaigns assigned to me (or to the whole campaign team)
+ * - Sorted by due date, each with status REMAINING or OVERDUE
+ */
+const getMyVisits = async (req, res, next) => {
+  try {
+    const campaigns = await Campaign.find({ isActive: true, assignedTo: req.user._id })
+      .populate('requiredParameters', 'code name unit testLocation')
+      .populate('visits.site', 'code name sourceType address location');
+
+    const now = new Date();
+    const visits = [];
+    campaigns.forEach(campaign => {
+      campaign.visits
+        .filter(visit => !visit.sample && campaign.isAssigned(visit, req.user._id))
+        .forEach(visit => {
+          visits.push({
+            visitId: visit._id,
+            campaignId: campaign._id,
+            campaignName: campaign.name,
+            site: visit.site,
+            location: visit.location?.coordinates?.length ? {
+              longitude: visit.location.coordinates[0],
+              latitude: visit.location.coordinates[1]
+            } : null,
+            label: visit.label,
+            dueDate: visit.dueDate,
+            status: campaign.getVisitStatus(visit, now),
+            requiredParameters: campaign.requiredParameters
+          });
+        });
+    });
+
+    visits.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+    res.json(ApiResponse.success(visits, 'Pending visits retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get active sites near the collector to choose from
+ * GET /api/mobile/sites/nearby?latitude=&longitude=&radius=
+ *
+ * - radius in metres (default: config.nearbySiteRadiusMetres)
+ * - Nearest first, each with distanceMetres
+ */
+const getNearbySites = async (req, res, next) => {
+  try {
+    const { latitude, longitude, radius } = req.query;
+
+    const sites = await Site.findNearby({
+      longitude: parseFloat(longitude),
+      latitude: parseFloat(latitude),
+      radiusMetres: radius ? parseFloat(radius) : nearbySiteRadiusMetres
+    });
+
+    res.json(ApiResponse.success(sites, 'Nearby sites retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get FIELD parameters for mobile form
  * GET /api/mobile/parameters
@@ -372,7 +878,7 @@ const getFieldParameters = async (req, res, next) => {
     const parameters = await ParameterMaster.find({
       testLocation: 'FIELD',
       isActive: true
-    }).select('_id code name unit type acceptableLimit permissibleLimit enumEvaluation').sort({ code: 1 });
+    }).select('_id code name unit unitConversions type acceptableLimit permissibleLimit enumEvaluation').sort({ code: 1 });
 
     // Simplify response based on type
     const simplified = parameters.map(p => {
@@ -381,6 +887,7 @@ const getFieldParameters = async (req, res, next) => {
         code: p.code,
         name: p.name,
         unit: p.unit,
+        acceptedUnits: p.getAcceptedUnits(),
         type: p.type
       };
 
@@ -443,8 +950,13 @@ const getMobileStats = async (req, res, next) => {
 
 module.exports = {
   createSample,
+  submitFieldTest,
+  updateMobileSample,
+  dispatchSample,
   getMobileSamples,
   getMobileSampleById,
+  getNearbySites,
+  getMyVisits,
   getFieldParameters,
   getMobileStats
 };
@@ -1,6 +1,20 @@
-const { ParameterMaster, AuditLog } = require('../models');
+const { ParameterMaster, ParameterVersion, Standard, AuditLog } = require('../models');
 const ApiResponse = require('../utils/ApiResponse');
 
+/**
+ * Parameters defined before versioning get their current definition
+ * recorded as a baseline version (effective from creation) before the first change
+ */
+const ensureBaselineVersion = async (parameter) => {
+  const hasVersions = await ParameterVersion.exists({ parameter: parameter._id });
+  if (!hasVersions) {
+    await ParameterVersion.record(parameter, {
+      effectiveFrom: parameter.createdAt,
+      reason: 'Baseline - definition before version history'
+    });
+  }
+};
+
 const getAllParameters = async (req, res, next) => {
   try {
     const {
@@ -72,12 +86,17 @@ const createParameter = async (req, res, next) => {
       code,
       name,
       unit,
+      unitConversions,
       type,
       acceptableLimit,
       permissibleLimit,
       physicalLimit,
+      detectionLimit,
+      quantitationLimit,
       enumEvaluation,
       affectsOverall,
+      maxHoldingTimeHours,
+      holdingTimeAction,
       testMethod
     } = req.body;
 
@@ -124,6 +143,9 @@ const createParameter = async (req, res, next) => {
           max: physicalLimit.max ?? null
         };
       }
+      // Method detection / quantitation limits (censored results)
+      parameterData.detectionLimit = detectionLimit ?? null;
+      parameterData.quantitationLimit = quantitationLimit ?? null;
     }
 
     // Set enumEvaluation for ENUM type
@@ -138,6 +160,19 @@ const createParameter = async (req, res, next) => {
       parameterData.affectsOverall = false;
     }
 
+    // Set holding time limit (LAB analytes that degrade after collection)
+    if (maxHoldingTimeHours !== undefined) {
+      parameterData.maxHoldingTimeHours = maxHoldingTimeHours;
+    }
+    if (holdingTimeAction) {
+      parameterData.holdingTimeAction = holdingTimeAction;
+    }
+
+    // Accepted alternative units (converted to the canonical unit on submission)
+    if (unitConversions) {
+      parameterData.unitConversions = unitConversions;
+    }
+
     // Set test method
     if (testMethod) {
       parameterData.testMethod = testMethod;
@@ -145,6 +180,12 @@ const createParameter = async (req, res, next) => {
 
     const parameter = await ParameterMaster.create(parameterData);
 
+    await ParameterVersion.record(parameter, {
+      effectiveFrom: parameter.createdAt,
+      author: req.user._id,
+      reason: 'Parameter created'
+    });
+
     res.status(201).json(
       ApiResponse.success(parameter, 'Parameter created successfully', 201)
     );
@@ -153,10 +194,20 @@ const createParameter = async (req, res, next) => {
   }
 };
 
+/**
+ * Update parameter - records a new immutable version
+ * PATCH /api/parameters/:id
+ *
+ * Body: { reason, effectiveFrom?, ...fields }
+ * - effectiveFrom (default now): samples collected from this date on use the new version
+ * - cannot be in the future or before the latest version's effectiveFrom
+ * - standards with their own limit set for the parameter keep evaluating
+ *   against those limits - they are listed in the response message
+ */
 const updateParameter = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { reason, effectiveFrom, ...updates } = req.body;
 
     const parameter = await ParameterMaster.findById(id);
 
@@ -166,6 +217,22 @@ const updateParameter = async (req, res, next) => {
       );
     }
 
+    const now = new Date();
+    const effectiveDate = effectiveFrom ? new Date(effectiveFrom) : now;
+    if (effectiveDate > now) {
+      return res.status(400).json(
+        ApiResponse.error('effectiveFrom cannot be in the future', 400)
+      );
+    }
+
+    await ensureBaselineVersion(parameter);
+    const latest = await ParameterVersion.findOne({ parameter: parameter._id }).sort({ version: -1 });
+    if (effectiveDate < latest.effectiveFrom) {
+      return res.status(400).json(
+        ApiResponse.error(`effectiveFrom cannot be before the current version (v${latest.version}, effective ${latest.effectiveFrom.toISOString()})`, 400)
+      );
+    }
+
     // Update allowed fields
     if (updates.code !== undefined) {
       parameter.code = updates.code.toUpperCase();
@@ -176,6 +243,9 @@ const updateParameter = async (req, res, next) => {
     if (updates.unit !== undefined) {
       parameter.unit = updates.unit;
     }
+    if (updates.unitConversions !== undefined) {
+      parameter.unitConversions = updates.unitConversions;
+    }
     if (updates.type !== undefined) {
       parameter.type = updates.type;
     }
@@ -197,12 +267,24 @@ const updateParameter = async (req, res, next) => {
         max: updates.physicalLimit?.max ?? null
       };
     }
+    if (updates.detectionLimit !== undefined) {
+      parameter.detectionLimit = updates.detectionLimit;
+    }
+    if (updates.quantitationLimit !== undefined) {
+      parameter.quantitationLimit = updates.quantitationLimit;
+    }
     if (updates.enumEvaluation !== undefined) {
       parameter.enumEvaluation = updates.enumEvaluation;
     }
     if (updates.affectsOverall !== undefined) {
       parameter.affectsOverall = updates.affectsOverall;
     }
+    if (updates.maxHoldingTimeHours !== undefined) {
+      parameter.maxHoldingTimeHours = updates.maxHoldingTimeHours;
+    }
+    if (updates.holdingTimeAction !== undefined) {
+      parameter.holdingTimeAction = updates.holdingTimeAction;
+    }
     if (updates.testMethod !== undefined) {
       parameter.testMethod = typeof updates.testMethod === 'string' ? updates.testMethod : '';
     }
@@ -216,7 +298,19 @@ const updateParameter = async (req, res, next) => {
 
     await parameter.save();
 
-    res.json(ApiResponse.success(parameter, 'Parameter updated successfully'));
+    const version = await ParameterVersion.record(parameter, {
+      effectiveFrom: effectiveDate,
+      author: req.user._id,
+      reason
+    });
+
+    // Limits of this version apply to the baseline standard and standards that don't list the parameter
+    const overridingStandards = await Standard.find({ 'limits.parameter': parameter._id, isActive: true }).select('code');
+    const overrideNote = overridingStandards.length > 0
+      ? ` Standards with their own limits for ${parameter.code} are not affected: ${overridingStandards.map(s => s.code).join(', ')}.`
+      : '';
+
+    res.json(ApiResponse.success(parameter, `Parameter updated successfully (v${version.version}).${overrideNote}`));
   } catch (error) {
     next(error);
   }
@@ -234,18 +328,54 @@ const toggleParameterStatus = async (req, res, next) => {
       );
     }
 
+    await ensureBaselineVersion(parameter);
+
     parameter.isActive = !parameter.isActive;
     await parameter.save();
 
+    await ParameterVersion.record(parameter, {
+      effectiveFrom: new Date(),
+      author: req.user._id,
+      reason: req.body?.reason || (parameter.isActive ? 'Parameter activated' : 'Parameter deactivated')
+    });
+
     res.json(ApiResponse.success(parameter, `Parameter ${parameter.isActive ? 'activated' : 'deactivated'} successfully`));
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Get version history of a parameter (newest first)
+ * GET /api/parameters/:id/history
+ */
+const getParameterHistory = async (req, res, next) => {
+  try {
+    const parameter = await ParameterMaster.findById(req.params.id).select('code name');
+
+    if (!parameter) {
+      return res.status(404).json(
+        ApiResponse.error('Parameter not found', 404)
+      );
+    }
+
+    const versions = await ParameterVersion.find({ parameter: parameter._id })
+      .populate('author', 'name email')
+      .sort({ version: -1 });
+
+    res.json(ApiResponse.success({
+      parameter,
+      versions
+    }, 'Parameter history retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAllParameters,
   getParameterById,
+  getParameterHistory,
   createParameter,
   updateParameter,
   toggleParameterStatus
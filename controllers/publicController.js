@@ -2,18 +2,109 @@ const { Sample } = require('../models');
 const ApiResponse = require('../utils/ApiResponse');
 const { generateSampleReport } = require('../services/reportService');
 
+// Public data never includes deleted or lab QC samples
+const PUBLIC_FILTER = { isDeleted: false, sampleType: { $ne: 'QC' } };
+
+// Released results: PUBLISHED, or an amendment awaiting review of a published sample
+const RELEASED_FILTER = {
+  ...PUBLIC_FILTER,
+  $or: [
+    { lifecycleStatus: 'PUBLISHED' },
+    { lifecycleStatus: 'LAB_TESTED', publishedRevision: { $ne: null } }
+  ]
+};
+
+// Overall status as released - the published revision's while an amendment awaits review
+const RELEASED_OVERALL_STATUS = {
+  $cond: [
+    { $eq: ['$lifecycleStatus', 'PUBLISHED'] },
+    '$overallStatus',
+    {
+      $arrayElemAt: [{
+        $map: {
+          input: { $filter: { input: '$revisions', cond: { $eq: ['$$this.revision', '$publishedRevision'] } } },
+          in: '$$this.overallStatus'
+        }
+      }, 0]
+    }
+  ]
+};
+
+/**
+ * Get public view of a retracted sample
+ * Only the notice - parameter values and status are withdrawn
+ */
+const toPublicRetraction = (sample) => ({
+  _id: sample._id,
+  sampleId: sample.sampleId,
+  address: sample.address,
+  location: sample.location,
+  collectedAt: sample.collectedAt,
+  lifecycleStatus: sample.lifecycleStatus,
+  retracted: true,
+  retraction: {
+    reason: sample.retraction?.reason,
+    retractedAt: sample.retraction?.retractedAt
+  }
+});
+
+/**
+ * Get public view of a sample at a lab result revision (default: the released one)
+ * Strips revision history and internal user references
+ * Returns null for unknown revisions and amendments not yet published
+ */
+const toPublicRevision = (sample, revision) => {
+  const released = sample.getPublicRevisionNumber();
+  const requested = revision ?? released;
+  if (released === null || requested > released) return null;
+
+  const data = sample.getRevision(requested);
+  if (!data) return null;
+
+  // An amendment under review is not public - the sample shows as published
+  data.lifecycleStatus = 'PUBLISHED';
+  delete data.revisions;
+  delete data.publishedRevision;
+  if (data.amendment) {
+    data.amendment = {
+      justification: data.amendment.justification,
+      amendedAt: data.amendment.amendedAt
+    };
+  }
+  // Only PUBLIC attachments, without uploader details
+  data.attachments = (data.attachments || [])
+    .filter(a => a.visibility === 'PUBLIC')
+    .map(a => ({
+      _id: a._id,
+      type: a.type,
+      url: a.url,
+      fileName: a.fileName,
+      mimeType: a.mimeType,
+      caption: a.caption,
+      uploadedAt: a.uploadedAt
+    }));
+  // Reviewer is printed on the report, internal review comments are not
+  if (data.review) {
+    data.review = {
+      reviewedBy: data.review.reviewedBy,
+      reviewedAt: data.review.reviewedAt
+    };
+  }
+  return data;
+};
+
 const getPublicSamples = async (req, res, next) => {
   try {
     const { page = 1, limit = 10, overallStatus, fromDate, toDate, search } = req.query;
 
-    const query = { 'testInfo.published': true, isDeleted: false };
+    const query = { ...RELEASED_FILTER };
 
     if (overallStatus) {
-      query.overallStatus = overallStatus;
+      query.$expr = { $eq: [RELEASED_OVERALL_STATUS, String(overallStatus)] };
     }
 
     if (search) {
-      query.address = { $regex: search, $options: 'i' };
+      query.address = { $regex: String(search), $options: 'i' };
     }
 
     if (fromDate || toDate) {
@@ -26,7 +117,7 @@ const getPublicSamples = async (req, res, next) => {
 
     const [samples, total] = await Promise.all([
       Sample.find(query)
-        .select('sampleId address location parameters overallStatus images collectedAt testInfo standardVersion')
+        .select('sampleId address location parameters overallStatus images collectedAt testInfo standardVersion lifecycleStatus revision amendment revisions publishedRevision')
         .sort({ collectedAt: -1 })
         .skip(skip)
         .limit(parseInt(limit)),
@@ -34,7 +125,7 @@ const getPublicSamples = async (req, res, next) => {
     ]);
 
     res.json(
-      ApiResponse.paginated(samples, {
+      ApiResponse.paginated(samples.map(sample => toPublicRevision(sample)), {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / parseInt(limit)),
         totalItems: total,
@@ -46,14 +137,20 @@ const getPublicSamples = async (req, res, next) => {
   }
 };
 
+/**
+ * Get single published sample
+ * GET /api/public/samples/:id
+ *
+ * Retracted samples return only the retraction notice
+ */
 const getPublicSampleById = async (req, res, next) => {
   try {
     const sample = await Sample.findOne({
       _id: req.params.id,
-      'testInfo.published': true,
-      isDeleted: false
+      ...PUBLIC_FILTER,
+      $or: [...RELEASED_FILTER.$or, { lifecycleStatus: 'RETRACTED' }]
     })
-      .select('sampleId address location parameters overallStatus images collectedAt testInfo standardVersion');
+      .select('sampleId address location parameters overallStatus images attachments collectedAt testInfo standardVersion lifecycleStatus retraction revision amendment revisions publishedRevision');
 
     if (!sample) {
       return res.status(404).json(
@@ -61,7 +158,18 @@ const getPublicSampleById = async (req, res, next) => {
       );
     }
 
-    res.json(ApiResponse.success(sample, 'Sample retrieved successfully'));
+    if (sample.lifecycleStatus === 'RETRACTED') {
+      return res.json(ApiResponse.success(toPublicRetraction(sample), 'Sample results have been retracted'));
+    }
+
+    const data = toPublicRevision(sample, req.query.revision);
+    if (!data) {
+      return res.status(404).json(
+        ApiResponse.error(`Revision ${req.query.revision} not found for this sample`, 404)
+      );
+    }
+
+    res.json(ApiResponse.success(data, 'Sample retrieved successfully'));
   } catch (error) {
     next(error);
   }
@@ -70,10 +178,10 @@ const getPublicSampleById = async (req, res, next) => {
 const getPublicStats = async (req, res, next) => {
   try {
     const [totalPublished, statusStats] = await Promise.all([
-      Sample.countDocuments({ 'testInfo.published': true, isDeleted: false }),
+      Sample.countDocuments(RELEASED_FILTER),
       Sample.aggregate([
-        { $match: { 'testInfo.published': true, isDeleted: false } },
-        { $group: { _id: '$overallStatus', count: { $sum: 1 } } }
+        { $match: RELEASED_FILTER },
+        { $group: { _id: RELEASED_OVERALL_STATUS, count: { $sum: 1 } } }
       ])
     ]);
 
@@ -100,9 +208,10 @@ const getPublicStats = async (req, res, next) => {
 
 const getMapData = async (req, res, next) => {
   try {
-    const samples = await Sample.find({ 'testInfo.published': true, isDeleted: false })
-      .select('sampleId address location overallStatus')
-      .lean();
+    const samples = await Sample.aggregate([
+      { $match: RELEASED_FILTER },
+      { $project: { sampleId: 1, address: 1, location: 1, overallStatus: RELEASED_OVERALL_STATUS } }
+    ]);
 
     // Transform for map display
     const mapData = samples.map(sample => ({
@@ -129,9 +238,12 @@ const downloadPublicPDF = async (req, res, next) => {
   try {
     const sample = await Sample.findOne({
       _id: req.params.id,
-      'testInfo.published': true,
-      isDeleted: false
-    });
+      ...PUBLIC_FILTER,
+      $or: [...RELEASED_FILTER.$or, { lifecycleStatus: 'RETRACTED' }]
+    })
+      .populate('testInfo.labTestedBy', 'name')
+      .populate('review.reviewedBy', 'name')
+      .populate('revisions.review.reviewedBy', 'name');
 
     if (!sample) {
       return res.status(404).json(
@@ -139,12 +251,27 @@ const downloadPublicPDF = async (req, res, next) => {
       );
     }
 
+    // Withdrawn results are never served as a report
+    if (sample.lifecycleStatus === 'RETRACTED') {
+      return res.status(410).json(
+        ApiResponse.error(`Sample results have been retracted: ${sample.retraction?.reason}`, 410)
+      );
+    }
+
+    const data = toPublicRevision(sample, req.query.revision);
+    if (!data) {
+      return res.status(404).json(
+        ApiResponse.error(`Revision ${req.query.revision} not found for this sample`, 404)
+      );
+    }
+
     // Generate PDF
-    const doc = generateSampleReport(sample);
+    const doc = generateSampleReport(data);
 
     // Set response headers
+    const filename = data.revision > 0 ? `${sample.sampleId}-rev${data.revision}-report.pdf` : `${sample.sampleId}-report.pdf`;
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${sample.sampleId}-report.pdf"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
 
     // Pipe PDF to response
     doc.pipe(res);
@@ -3,60 +3,89 @@
  * Handles admin API endpoints for sample management
  *
  * NEW DESIGN:
- * - Uses testInfo nested object for tracking test status
+ * - Uses lifecycleStatus + statusHistory for tracking sample state
+ * - All state changes go through services/lifecycleService transition table
  * - Status calculation happens ONLY after LAB test
  */
 
-const { Sample, AuditLog, ParameterMaster } = require('../models');
+const { Sample, AuditLog, ParameterMaster, ParameterVersion, StandardVersion, Counter, Comment, Standard } = require('../models');
 const ApiResponse = require('../utils/ApiResponse');
+const { lifecycleStatuses, standardVersion } = require('../config');
 const { generateSampleReport } = require('../services/reportService');
+const { initializeLifecycle, checkTransition, applyTransition } = require('../services/lifecycleService');
+const { buildProposedLimits, evaluateWhatIf } = require('../services/whatIfService');
+const { deleteFile } = require('../services/uploadService');
+const { evaluateAfterLabTest } = require('../services/qcService');
+
+// Maximum number of samples a single bulk operation may touch
+const BULK_LIMIT = 500;
+
+// Maximum samples re-evaluated by one what-if request
+const WHAT_IF_LIMIT = 5000;
 
 /**
- * Get all samples with filtering and pagination
- * GET /api/samples
+ * Build sample query from getAllSamples filter params
+ * Shared by the admin list and bulk operations
  */
-const getAllSamples = async (req, res, next) => {
-  try {
-    const {
-      page = 1,
-      limit = 10,
-      fieldTested,
-      labTested,
-      published,
-      overallStatus,
-      search,
-      includeDeleted = 'false'
-    } = req.query;
+const buildSampleQuery = ({ lifecycleStatus, overallStatus, sampleType, batchId, qcFlagged, site, search, includeDeleted = 'false' } = {}) => {
+  const query = {};
 
-    const query = {};
+  // Filter out deleted by default
+  if (String(includeDeleted) !== 'true') {
+    query.isDeleted = false;
+  }
 
-    // Filter out deleted by default
-    if (includeDeleted !== 'true') {
-      query.isDeleted = false;
-    }
+  // Filter by lifecycle state (single value or comma-separated list)
+  if (lifecycleStatus) {
+    const statuses = String(lifecycleStatus).split(',').map(st => st.trim().toUpperCase());
+    query.lifecycleStatus = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
 
-    // Filter by testInfo flags
-    if (fieldTested !== undefined) {
-      query['testInfo.fieldTested'] = fieldTested === 'true';
-    }
-    if (labTested !== undefined) {
-      query['testInfo.labTested'] = labTested === 'true';
-    }
-    if (published !== undefined) {
-      query['testInfo.published'] = published === 'true';
-    }
+  if (overallStatus) {
+    query.overallStatus = String(overallStatus).toUpperCase();
+  }
 
-    if (overallStatus) {
-      query.overallStatus = overallStatus;
-    }
+  // Real samples by default - sampleType=QC for QC samples, ALL for both
+  const type = String(sampleType || 'ROUTINE').toUpperCase();
+  if (type === 'QC') {
+    query.sampleType = 'QC';
+  } else if (type !== 'ALL') {
+    query.sampleType = { $ne: 'QC' };
+  }
 
-    if (search) {
-      query.$or = [
-        { address: { $regex: search, $options: 'i' } },
-        { sampleId: { $regex: search, $options: 'i' } },
-        { title: { $regex: search, $options: 'i' } }
-      ];
-    }
+  if (batchId) {
+    query.batchId = String(batchId).toUpperCase();
+  }
+
+  if (site) {
+    query.site = String(site);
+  }
+
+  if (String(qcFlagged) === 'true') {
+    query['qcFlags.0'] = { $exists: true };
+  }
+
+  if (search) {
+    const pattern = String(search);
+    query.$or = [
+      { address: { $regex: pattern, $options: 'i' } },
+      { sampleId: { $regex: pattern, $options: 'i' } },
+      { title: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  return query;
+};
+
+/**
+ * Get all samples with filtering and pagination
+ * GET /api/samples
+ */
+const getAllSamples = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const query = buildSampleQuery(req.query);
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -86,12 +115,20 @@ const getAllSamples = async (req, res, next) => {
 /**
  * Get sample by ID
  * GET /api/samples/:id
+ *
+ * Query params:
+ * - revision: Lab result revision to return (default: latest)
+ *
+ * Includes resampleChain: original + follow-up samples with their overallStatus
  */
 const getSampleById = async (req, res, next) => {
   try {
     const sample = await Sample.findById(req.params.id)
       .populate('collectedBy', 'name email')
-      .populate('testInfo.labTestedBy', 'name email');
+      .populate('testInfo.labTestedBy', 'name email')
+      .populate('amendment.amendedBy', 'name email')
+      .populate('review.reviewedBy', 'name email')
+      .populate('site', 'code name sourceType owner');
 
     if (!sample) {
       return res.status(404).json(
@@ -99,23 +136,83 @@ const getSampleById = async (req, res, next) => {
       );
     }
 
-    res.json(ApiResponse.success(sample, 'Sample retrieved successfully'));
+    const data = sample.getRevision(req.query.revision);
+    if (!data) {
+      return res.status(404).json(
+        ApiResponse.error(`Revision ${req.query.revision} not found for this sample`, 404)
+      );
+    }
+
+    data.resampleChain = await Sample.getResampleChain(sample._id);
+
+    res.json(ApiResponse.success(data, 'Sample retrieved successfully'));
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Submit LAB test
- * POST /api/samples/:id/lab-test
+ * Update sample metadata (title, address, location, collectedAt, site)
+ * PATCH /api/samples/:id
  *
- * - Only samples with fieldTested=true, labTested=false can have LAB test
- * - Calculates status for ALL parameters (FIELD + LAB)
- * - Sets overallStatus
+ * - PUBLISHED / RETRACTED / ARCHIVED samples require a reason
+ * - collectedAt cannot change once LAB tested
+ * - Old and new values are recorded in the audit log
  */
-const submitLabTest = async (req, res, next) => {
+const updateSample = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const sample = await Sample.findById(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    const { changes, error: editError } = await sample.editMetadata(req.body, { user: req.user, reason });
+    if (editError) {
+      return res.status(editError.statusCode).json(
+        ApiResponse.error(editError.message, editError.statusCode)
+      );
+    }
+
+    await sample.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_UPDATED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        lifecycleStatus: sample.lifecycleStatus,
+        reason: reason || null,
+        changes
+      },
+      ipAddress: req.ip
+    });
+
+    const populatedSample = await Sample.findById(sample._id)
+      .populate('collectedBy', 'name email')
+      .populate('testInfo.labTestedBy', 'name email');
+
+    res.json(ApiResponse.success(populatedSample, 'Sample updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record lab receipt - last custody handover before analysis
+ * POST /api/samples/:id/custody/receipt
+ *
+ * Body: { storageTemperature, sealCondition, timestamp?, notes?, batchId? }
+ * - batchId assigns the sample to a lab analysis batch (for batch QC)
+ */
+const receiveSample = async (req, res, next) => {
   try {
-    const { parameters } = req.body;
+    const { storageTemperature, sealCondition, timestamp, notes, batchId } = req.body;
     const sample = await Sample.findById(req.params.id);
 
     if (!sample) {
@@ -126,20 +223,229 @@ const submitLabTest = async (req, res, next) => {
 
     if (sample.isDeleted) {
       return res.status(400).json(
-        ApiResponse.error('Cannot submit test for a deleted sample', 400)
+        ApiResponse.error('Cannot receive a deleted sample', 400)
+      );
+    }
+
+    if (sample.hasCustodyEvent('LAB_RECEIVED')) {
+      return res.status(400).json(
+        ApiResponse.error('Lab receipt already recorded for this sample', 400)
+      );
+    }
+
+    if (!sample.hasCustodyEvent('DISPATCHED')) {
+      return res.status(400).json(
+        ApiResponse.error('Sample must be dispatched by the field team before lab receipt', 400)
+      );
+    }
+
+    const custodyEvent = {
+      event: 'LAB_RECEIVED',
+      person: req.user.name,
+      personRef: req.user._id,
+      timestamp: timestamp || new Date(),
+      storageTemperature: parseFloat(storageTemperature),
+      sealCondition,
+      notes: notes || '',
+      recordedBy: req.user._id
+    };
+    sample.custodyLog.push(custodyEvent);
+    if (batchId) {
+      sample.batchId = batchId;
+    }
+    await sample.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_CUSTODY_RECEIVED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        storageTemperature: custodyEvent.storageTemperature,
+        sealCondition,
+        batchId: sample.batchId
+      },
+      ipAddress: req.ip
+    });
+
+    res.json(ApiResponse.success(sample.custodyLog, 'Lab receipt recorded'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a lab QC sample (blank, duplicate or spike)
+ * POST /api/samples/qc
+ *
+ * Body: { qcType, parentSample?, batchId?, title?, spikes?: [{parameterRef, amount}] }
+ * - DUPLICATE needs a parentSample, BLANK / SPIKE need a parentSample or batchId
+ * - Prepared in the lab: starts COLLECTED with a lab receipt, goes straight to LAB test
+ */
+const createQcSample = async (req, res, next) => {
+  try {
+    const { qcType, parentSample: parentId, title, spikes = [] } = req.body;
+    let { batchId } = req.body;
+
+    if (qcType === 'DUPLICATE' && !parentId) {
+      return res.status(400).json(
+        ApiResponse.error('Duplicate QC samples require a parentSample', 400)
       );
     }
 
-    // Must be field tested but not lab tested
-    if (!sample.testInfo.fieldTested) {
+    if (!parentId && !batchId) {
       return res.status(400).json(
-        ApiResponse.error('Sample must have FIELD test completed first', 400)
+        ApiResponse.error('QC sample must be linked to a parentSample or batchId', 400)
       );
     }
 
-    if (sample.testInfo.labTested) {
+    if (qcType === 'SPIKE' && spikes.length === 0) {
       return res.status(400).json(
-        ApiResponse.error('LAB test already submitted for this sample', 400)
+        ApiResponse.error('Spike QC samples require at least one spiked parameter', 400)
+      );
+    }
+
+    // Controlled sample: the parent, or any real sample in the batch (for location)
+    let controlled;
+    if (parentId) {
+      controlled = await Sample.findOne({ _id: parentId, isDeleted: false, sampleType: { $ne: 'QC' } });
+      if (!controlled) {
+        return res.status(404).json(
+          ApiResponse.error('Parent sample not found', 404)
+        );
+      }
+      batchId = batchId || controlled.batchId;
+    } else {
+      controlled = await Sample.findOne({ batchId: batchId.toUpperCase(), isDeleted: false, sampleType: { $ne: 'QC' } });
+      if (!controlled) {
+        return res.status(404).json(
+          ApiResponse.error(`No samples found in batch ${batchId}`, 404)
+        );
+      }
+    }
+
+    if (spikes.length > 0) {
+      const spikeIds = spikes.map(s => s.parameterRef);
+      const spikeParamCount = await ParameterMaster.countDocuments({
+        _id: { $in: spikeIds },
+        testLocation: 'LAB',
+        isActive: true
+      });
+      if (spikeParamCount !== new Set(spikeIds).size) {
+        return res.status(400).json(
+          ApiResponse.error('Spikes must reference distinct, active LAB parameters', 400)
+        );
+      }
+    }
+
+    const now = new Date();
+    const sample = new Sample({
+      title: title || `${qcType} QC - ${parentId ? controlled.sampleId : batchId.toUpperCase()}`,
+      location: controlled.location,
+      address: controlled.address,
+      // Duplicates and spikes share the parent's holding time clock
+      collectedAt: parentId ? controlled.collectedAt : now,
+      collectedBy: req.user._id,
+      sampleType: 'QC',
+      batchId: batchId || null,
+      qc: {
+        qcType,
+        parentSample: parentId || null,
+        spikes: qcType === 'SPIKE' ? spikes : []
+      },
+      custodyLog: [{
+        event: 'LAB_RECEIVED',
+        person: req.user.name,
+        personRef: req.user._id,
+        timestamp: now,
+        notes: 'QC sample prepared in the lab',
+        recordedBy: req.user._id
+      }]
+    });
+    initializeLifecycle(sample, { user: req.user, at: now });
+    await sample.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_QC_CREATED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        qcType,
+        parentSample: controlled && parentId ? controlled.sampleId : null,
+        batchId: sample.batchId
+      },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json(ApiResponse.success(sample, 'QC sample created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Parameter definitions in effect at a date (e.g. sample collection)
+ * Unversioned parameters keep their current definition
+ * Unit conversions come from the current definition (see ParameterVersion.toParameter)
+ */
+const getEffectiveParameters = async (paramDocs, at) => {
+  const versions = await ParameterVersion.findEffective(paramDocs.map(p => p._id), at);
+  return paramDocs.map(p => {
+    const version = versions.get(p._id.toString());
+    return version ? version.toParameter(p) : p;
+  });
+};
+
+/**
+ * Standard with the limit set in effect at a date (e.g. sample collection)
+ * Unversioned standards keep their current limit set
+ */
+const getEffectiveStandard = async (standard, at) => {
+  if (!standard) {
+    return null;
+  }
+  const version = await StandardVersion.findEffective(standard._id, at);
+  return version ? version.toStandard(standard) : standard;
+};
+
+/**
+ * Submit LAB test
+ * POST /api/samples/:id/lab-test
+ *
+ * - Only FIELD_TESTED samples with a lab receipt can have LAB test (QC samples: COLLECTED)
+ * - Results stay LAB_TESTED until reviewed (POST /:id/review) and published
+ * - QC samples are evaluated and never published
+ * - Calculates status for ALL parameters (FIELD + LAB)
+ *   with the parameter versions and standard limit set in effect at sample.collectedAt
+ * - Sets overallStatus
+ *
+ * Body: { parameters: [{parameterRef, value, unit?}, ...], standard? }
+ * - unit: one of the parameter's accepted units, converted to its canonical unit
+ * - value: numeric values may be censored ("<0.01", ">2000", "ND"), evaluated conservatively
+ * - standard: code of the standard to evaluate against
+ *   (default: the one selected at creation, else the default standard)
+ * - analysedAt: when the sample was analysed - holding times end here
+ *   (default: lab receipt, else now)
+ */
+const submitLabTest = async (req, res, next) => {
+  try {
+    const { parameters, standard: standardCode, analysedAt: analysedAtInput } = req.body;
+    const sample = await Sample.findById(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    // Must be FIELD_TESTED (checked against the transition table)
+    const transitionError = checkTransition(sample, 'LAB_TEST', req.user);
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(
+        ApiResponse.error(transitionError.message, transitionError.statusCode)
       );
     }
 
@@ -152,22 +458,65 @@ const submitLabTest = async (req, res, next) => {
 
     // Get LAB parameter definitions
     const labParamIds = parameters.map(p => p.parameterRef);
-    const labParamDocs = await ParameterMaster.find({
+    const currentLabParams = await ParameterMaster.find({
       _id: { $in: labParamIds },
       testLocation: 'LAB',
       isActive: true
     });
 
-    if (labParamDocs.length !== labParamIds.length) {
-      const validIds = labParamDocs.map(p => p._id.toString());
+    if (currentLabParams.length !== labParamIds.length) {
+      const validIds = currentLabParams.map(p => p._id.toString());
       const invalidIds = labParamIds.filter(id => !validIds.includes(id));
       return res.status(400).json(
         ApiResponse.error(`Invalid LAB parameter IDs: ${invalidIds.join(', ')}`, 400)
       );
     }
 
+    // Limits that were in effect when the sample was collected
+    const labParamDocs = await getEffectiveParameters(currentLabParams, sample.collectedAt);
+
+    // Parse censored values / convert to the canonical unit, then reject physically impossible / invalid values
+    const labValues = new Map();
+    for (const input of parameters) {
+      const paramMaster = labParamDocs.find(p => p._id.toString() === input.parameterRef);
+      const conversion = paramMaster.parseSubmittedValue(input.value, input.unit);
+      if (conversion.error) {
+        return res.status(400).json(ApiResponse.error(conversion.error, 400));
+      }
+      const { isValid, error } = paramMaster.validatePhysicalLimits(conversion.value);
+      if (!isValid) {
+        return res.status(400).json(ApiResponse.error(error, 400));
+      }
+      labValues.set(input.parameterRef, conversion);
+    }
+
+    // Limits come from the selected standard, as in effect when the sample was collected
+    const { standard: selectedStandard, error: standardError } = await Standard.selectFor(standardCode, sample.standard);
+    if (standardError) {
+      return res.status(400).json(ApiResponse.error(standardError, 400));
+    }
+    const standard = await getEffectiveStandard(selectedStandard, sample.collectedAt);
+
     const now = new Date();
 
+    // Holding time runs until analysis, not until the results are keyed in
+    const analysedAt = sample.getAnalysisTime(analysedAtInput, now);
+    if (analysedAtInput && (analysedAt > now || analysedAt < sample.collectedAt)) {
+      return res.status(400).json(
+        ApiResponse.error('analysedAt must be between sample collection and now', 400)
+      );
+    }
+
+    // Holding time: BLOCK parameters reject the whole submission
+    const blockedParams = labParamDocs
+      .filter(p => p.holdingTimeAction === 'BLOCK' && p.checkHoldingTime(sample.collectedAt, analysedAt).exceeded)
+      .map(p => `${p.name} (max ${p.maxHoldingTimeHours}h)`);
+    if (blockedParams.length > 0) {
+      return res.status(400).json(
+        ApiResponse.error(`Holding time exceeded, results not accepted: ${blockedParams.join(', ')}`, 400)
+      );
+    }
+
     // Get existing FIELD parameters
     const fieldParams = sample.parameters;
 
@@ -176,8 +525,13 @@ const submitLabTest = async (req, res, next) => {
     for (const input of parameters) {
       const paramMaster = labParamDocs.find(p => p._id.toString() === input.parameterRef);
 
-      // Calculate status
-      const status = paramMaster.calculateStatus(input.value);
+      // Calculate status against the standard's limits (canonical unit)
+      const { value, rawValue, rawUnit, qualifier, belowQuantitation } = labValues.get(input.parameterRef);
+      const limits = paramMaster.getLimits(standard);
+      const status = paramMaster.calculateStatus(value, limits, qualifier);
+
+      // FLAG parameters are accepted but marked on the snapshot
+      const holdingTime = paramMaster.checkHoldingTime(sample.collectedAt, analysedAt);
 
       labParamsWithStatus.push({
         parameterRef: paramMaster._id,
@@ -186,33 +540,35 @@ const submitLabTest = async (req, res, next) => {
         unit: paramMaster.unit,
         type: paramMaster.type,
         testLocation: 'LAB',
-        acceptableLimit: {
-          min: paramMaster.acceptableLimit?.min ?? null,
-          max: paramMaster.acceptableLimit?.max ?? null
-        },
-        permissibleLimit: {
-          min: paramMaster.permissibleLimit?.min ?? null,
-          max: paramMaster.permissibleLimit?.max ?? null
-        },
-        value: input.value,
+        ...paramMaster.getLimitSnapshot(limits),
+        parameterVersion: paramMaster.$locals.version ?? null,
+        maxHoldingTimeHours: paramMaster.maxHoldingTimeHours ?? null,
+        elapsedHoldingHours: holdingTime.elapsedHours,
+        holdingTimeExceeded: holdingTime.exceeded,
+        value,
+        rawValue,
+        rawUnit,
+        qualifier,
+        belowQuantitation,
         status: status
       });
     }
 
     // Also calculate status for FIELD parameters now
     const fieldParamIds = fieldParams.map(p => p.parameterRef.toString());
-    const fieldParamDocs = await ParameterMaster.find({
-      _id: { $in: fieldParamIds },
-      isActive: true
-    });
+    const fieldParamDocs = await getEffectiveParameters(
+      await ParameterMaster.find({ _id: { $in: fieldParamIds }, isActive: true }),
+      sample.collectedAt
+    );
 
     const fieldParamsWithStatus = fieldParams.map(fp => {
       const paramMaster = fieldParamDocs.find(p => p._id.toString() === fp.parameterRef.toString());
       if (paramMaster) {
         // Use try-catch because old samples might have invalid values
+        const limits = paramMaster.getLimits(standard);
         let status = null;
         try {
-          status = paramMaster.calculateStatus(fp.value);
+          status = paramMaster.calculateStatus(fp.value, limits, fp.qualifier);
         } catch {
           // If status calculation fails (e.g., invalid ENUM value), use existing status or ACCEPTABLE
           status = fp.status || 'ACCEPTABLE';
@@ -224,14 +580,8 @@ const submitLabTest = async (req, res, next) => {
           name: paramMaster.name,
           unit: paramMaster.unit,
           type: paramMaster.type,
-          acceptableLimit: {
-            min: paramMaster.acceptableLimit?.min ?? null,
-            max: paramMaster.acceptableLimit?.max ?? null
-          },
-          permissibleLimit: {
-            min: paramMaster.permissibleLimit?.min ?? null,
-            max: paramMaster.permissibleLimit?.max ?? null
-          },
+          ...paramMaster.getLimitSnapshot(limits),
+          parameterVersion: paramMaster.$locals.version ?? null,
           status: status
         };
       }
@@ -247,31 +597,55 @@ const submitLabTest = async (req, res, next) => {
     const allParameters = [...fieldParamsWithStatus, ...labParamsWithStatus];
 
     // Calculate overall status
-    const overallStatus = calculateOverallStatus(allParameters);
+    const overallStatus = Sample.calculateOverallStatus(allParameters);
+
+    // Parameters the selected standard does not cover use their own (baseline) limits
+    const uncoveredCodes = allParameters
+      .filter(p => standard && p.limitSource && p.limitSource !== standard.code)
+      .map(p => p.code);
 
     // Update sample
     sample.parameters = allParameters;
     sample.overallStatus = overallStatus;
-    sample.testInfo.labTested = true;
-    sample.testInfo.labTestedBy = req.user._id;
-    sample.testInfo.labTestedAt = now;
-
-    // Auto-publish after LAB test
-    sample.testInfo.published = true;
-    sample.testInfo.publishedAt = now;
+    sample.standard = standard ? standard._id : null;
+    sample.standardVersion = standard ? standard.code : standardVersion;
+    sample.testInfo.analysedAt = analysedAt;
+    // No auto-publish: results wait for a four-eyes review (QC samples stay internal)
+    applyTransition(sample, 'LAB_TEST', { user: req.user, at: now });
+    const isQc = sample.sampleType === 'QC';
 
     await sample.save();
 
+    // Evaluate QC - this QC sample, or QC samples waiting for this sample's results
+    const qcOutcomes = await evaluateAfterLabTest(sample, now);
+    for (const outcome of qcOutcomes) {
+      await AuditLog.logAction({
+        action: 'SAMPLE_QC_EVALUATED',
+        performedBy: req.user._id,
+        sampleRef: outcome.qcSample._id,
+        details: {
+          qcSampleId: outcome.qcSample.sampleId,
+          qcType: outcome.qcSample.qc.qcType,
+          status: outcome.evaluation.status,
+          failedParameters: outcome.evaluation.results.filter(r => !r.passed).map(r => r.code),
+          flaggedSamplesCount: outcome.flaggedCount
+        },
+        ipAddress: req.ip
+      });
+    }
+
     // Log action
     await AuditLog.logAction({
-      action: 'SAMPLE_LAB_TESTED_AND_PUBLISHED',
+      action: 'SAMPLE_LAB_TESTED',
       performedBy: req.user._id,
       sampleRef: sample._id,
       details: {
         labParametersCount: parameters.length,
         totalParametersCount: allParameters.length,
         overallStatus: overallStatus,
-        autoPublished: true
+        standardVersion: sample.standardVersion,
+        notCoveredByStandard: uncoveredCodes,
+        holdingTimeExceeded: labParamsWithStatus.filter(p => p.holdingTimeExceeded).map(p => p.code)
       },
       ipAddress: req.ip
     });
@@ -280,34 +654,34 @@ const submitLabTest = async (req, res, next) => {
       .populate('collectedBy', 'name email')
       .populate('testInfo.labTestedBy', 'name email');
 
-    res.json(ApiResponse.success(populatedSample, 'Lab test submitted and sample published successfully.'));
+    const coverageNote = uncoveredCodes.length > 0
+      ? ` Not covered by ${standard.code}, evaluated against parameter limits: ${uncoveredCodes.join(', ')}.`
+      : '';
+
+    res.json(ApiResponse.success(
+      populatedSample,
+      (isQc ? `Lab test submitted, QC ${populatedSample.qc.evaluation.status}.` : 'Lab test submitted, awaiting review before publishing.') + coverageNote
+    ));
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Calculate overall status from parameters
- */
-function calculateOverallStatus(parameters) {
-  if (!parameters || parameters.length === 0) return null;
-
-  const affectingParams = parameters.filter(p => p.affectsOverall !== false && p.status);
-
-  if (affectingParams.length === 0) return 'ACCEPTABLE';
-
-  if (affectingParams.some(p => p.status === 'NOT_ACCEPTABLE')) return 'NOT_ACCEPTABLE';
-  if (affectingParams.some(p => p.status === 'PERMISSIBLE')) return 'PERMISSIBLE';
-
-  return 'ACCEPTABLE';
-}
-
-/**
- * Publish sample
- * PATCH /api/samples/:id/publish
+ * Amend lab results - records a new revision of parameters + overallStatus
+ * POST /api/samples/:id/amend
+ *
+ * - Only LAB_TESTED or PUBLISHED samples can be amended
+ * - The sample returns to LAB_TESTED: the amended results need a review and
+ *   publishing by someone else (four-eyes), the published revision stays public meanwhile
+ * - Body: { justification, parameters: [{parameterRef, value, unit?}, ...] }
+ * - Statuses use the standard the sample was tested against (its limit set and the
+ *   parameter versions in effect at sample.collectedAt)
+ * - The previous revision is kept in sample.revisions
  */
-const publishSample = async (req, res, next) => {
+const amendLabResults = async (req, res, next) => {
   try {
+    const { parameters, justification } = req.body;
     const sample = await Sample.findById(req.params.id);
 
     if (!sample) {
@@ -316,60 +690,153 @@ const publishSample = async (req, res, next) => {
       );
     }
 
-    if (sample.isDeleted) {
-      return res.status(400).json(
-        ApiResponse.error('Cannot publish a deleted sample', 400)
+    const transitionError = checkTransition(sample, 'AMEND', req.user);
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(
+        ApiResponse.error(transitionError.message, transitionError.statusCode)
       );
     }
 
-    // Must have LAB test completed
-    if (!sample.testInfo.labTested) {
+    // Corrected parameters must already be recorded on the sample
+    const paramIds = parameters.map(p => p.parameterRef);
+    const recordedIds = sample.parameters.map(p => p.parameterRef.toString());
+    const unknownIds = paramIds.filter(id => !recordedIds.includes(id));
+    if (unknownIds.length > 0) {
       return res.status(400).json(
-        ApiResponse.error('Sample must have LAB test completed before publishing', 400)
+        ApiResponse.error(`Parameters not recorded on this sample: ${unknownIds.join(', ')}`, 400)
       );
     }
 
-    if (sample.testInfo.published) {
-      return res.status(400).json(
-        ApiResponse.error('Sample is already published', 400)
-      );
+    const [currentParams, currentStandard] = await Promise.all([
+      ParameterMaster.find({ _id: { $in: paramIds } }),
+      sample.standard ? Standard.findById(sample.standard) : null
+    ]);
+    const [paramDocs, standard] = await Promise.all([
+      getEffectiveParameters(currentParams, sample.collectedAt),
+      getEffectiveStandard(currentStandard, sample.collectedAt)
+    ]);
+
+    // Convert and validate corrected values before touching the sample
+    const correctedValues = new Map();
+    for (const input of parameters) {
+      const paramMaster = paramDocs.find(p => p._id.toString() === input.parameterRef);
+      if (!paramMaster) {
+        return res.status(400).json(
+          ApiResponse.error(`Parameter definition not found: ${input.parameterRef}`, 400)
+        );
+      }
+      const conversion = paramMaster.parseSubmittedValue(input.value, input.unit);
+      if (conversion.error) {
+        return res.status(400).json(ApiResponse.error(conversion.error, 400));
+      }
+      const { isValid, error } = paramMaster.validatePhysicalLimits(conversion.value);
+      if (!isValid) {
+        return res.status(400).json(ApiResponse.error(error, 400));
+      }
+      correctedValues.set(input.parameterRef, conversion);
     }
 
     const now = new Date();
 
-    sample.testInfo.published = true;
-    sample.testInfo.publishedAt = now;
+    // Keep the current revision before overwriting it
+    sample.revisions.push({
+      revision: sample.revision,
+      parameters: sample.parameters.map(p => p.toObject()),
+      overallStatus: sample.overallStatus,
+      justification: sample.amendment?.justification ?? null,
+      recordedBy: sample.amendment?.amendedBy ?? sample.testInfo.labTestedBy,
+      recordedAt: sample.amendment?.amendedAt ?? sample.testInfo.labTestedAt,
+      review: sample.review ? sample.review.toObject() : null,
+      supersededAt: now
+    });
+
+    const changes = [];
+    const amendedParameters = sample.parameters.map(sp => {
+      const current = sp.toObject();
+      const input = parameters.find(p => p.parameterRef === current.parameterRef.toString());
+      if (!input) return current;
+
+      const paramMaster = paramDocs.find(p => p._id.toString() === input.parameterRef);
+      const { value, rawValue, rawUnit, qualifier, belowQuantitation } = correctedValues.get(input.parameterRef);
+      const limits = paramMaster.getLimits(standard);
+      const status = paramMaster.calculateStatus(value, limits, qualifier);
+
+      changes.push({
+        code: current.code,
+        oldValue: current.value,
+        newValue: value,
+        oldQualifier: current.qualifier ?? null,
+        newQualifier: qualifier,
+        oldStatus: current.status,
+        newStatus: status
+      });
+
+      return {
+        ...current,
+        ...paramMaster.getLimitSnapshot(limits),
+        parameterVersion: paramMaster.$locals.version ?? null,
+        value,
+        rawValue,
+        rawUnit,
+        qualifier,
+        belowQuantitation,
+        status: status
+      };
+    });
+
+    const previousOverallStatus = sample.overallStatus;
+
+    sample.parameters = amendedParameters;
+    sample.overallStatus = Sample.calculateOverallStatus(amendedParameters);
+    sample.revision += 1;
+    sample.amendment = {
+      justification,
+      amendedBy: req.user._id,
+      amendedAt: now
+    };
+
+    // Changed results need a new review before they are (re)published
+    sample.review = null;
+    applyTransition(sample, 'AMEND', { user: req.user, reason: justification, at: now });
 
     await sample.save();
 
     // Log action
     await AuditLog.logAction({
-      action: 'SAMPLE_PUBLISHED',
+      action: 'SAMPLE_AMENDED',
       performedBy: req.user._id,
       sampleRef: sample._id,
       details: {
-        overallStatus: sample.overallStatus,
-        parametersCount: sample.parameters.length
+        sampleId: sample.sampleId,
+        revision: sample.revision,
+        justification,
+        changes,
+        previousOverallStatus,
+        overallStatus: sample.overallStatus
       },
       ipAddress: req.ip
     });
 
     const populatedSample = await Sample.findById(sample._id)
       .populate('collectedBy', 'name email')
-      .populate('testInfo.labTestedBy', 'name email');
+      .populate('testInfo.labTestedBy', 'name email')
+      .populate('amendment.amendedBy', 'name email');
 
-    res.json(ApiResponse.success(populatedSample, 'Sample published successfully'));
+    res.json(ApiResponse.success(populatedSample, `Lab results amended (rev ${sample.revision}), awaiting review before publishing.`));
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Archive sample (soft delete)
- * PATCH /api/samples/:id/archive
+ * Reject a FIELD_TESTED sample and return it to the field team
+ * PATCH /api/samples/:id/reject
+ *
+ * Body: { reason, resolution: 'RECOLLECT' | 'RETEST_FIELD' }
  */
-const archiveSample = async (req, res, next) => {
+const rejectSample = async (req, res, next) => {
   try {
+    const { reason, resolution } = req.body;
     const sample = await Sample.findById(req.params.id);
 
     if (!sample) {
@@ -378,28 +845,246 @@ const archiveSample = async (req, res, next) => {
       );
     }
 
-    if (sample.isDeleted) {
-      return res.status(400).json(
-        ApiResponse.error('Sample is already archived', 400)
-      );
-    }
+    const now = new Date();
+    sample.rejection = {
+      reason,
+      resolution,
+      rejectedBy: req.user._id,
+      rejectedAt: now
+    };
 
-    // Only published samples can be archived
-    if (!sample.testInfo.published) {
-      return res.status(400).json(
-        ApiResponse.error('Sample must be published before archiving', 400)
+    // Must be FIELD_TESTED
+    const transitionError = checkTransition(sample, 'REJECT', req.user);
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(
+        ApiResponse.error(transitionError.message, transitionError.statusCode)
       );
     }
 
-    sample.isDeleted = true;
+    applyTransition(sample, 'REJECT', { user: req.user, reason, at: now });
     await sample.save();
 
     // Log action
     await AuditLog.logAction({
-      action: 'SAMPLE_ARCHIVED',
+      action: 'SAMPLE_REJECTED',
       performedBy: req.user._id,
       sampleRef: sample._id,
-      details: {},
+      userRef: sample.collectedBy,
+      details: {
+        sampleId: sample.sampleId,
+        reason,
+        resolution
+      },
+      ipAddress: req.ip
+    });
+
+    const populatedSample = await Sample.findById(sample._id)
+      .populate('collectedBy', 'name email')
+      .populate('rejection.rejectedBy', 'name email');
+
+    res.json(ApiResponse.success(populatedSample, 'Sample rejected and returned to field team'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Publish sample
+ * PATCH /api/samples/:id/publish
+ */
+const publishSample = async (req, res, next) => {
+  try {
+    const sample = await Sample.findById(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    // Must be LAB_TESTED
+    const transitionError = checkTransition(sample, 'PUBLISH', req.user);
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(
+        ApiResponse.error(transitionError.message, transitionError.statusCode)
+      );
+    }
+
+    applyTransition(sample, 'PUBLISH', { user: req.user, reason: req.body.reason });
+    await sample.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_PUBLISHED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        overallStatus: sample.overallStatus,
+        parametersCount: sample.parameters.length,
+        reviewedBy: sample.review.reviewedBy
+      },
+      ipAddress: req.ip
+    });
+
+    const populatedSample = await Sample.findById(sample._id)
+      .populate('collectedBy', 'name email')
+      .populate('testInfo.labTestedBy', 'name email')
+      .populate('review.reviewedBy', 'name email');
+
+    res.json(ApiResponse.success(populatedSample, 'Sample published successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Review lab results - four-eyes approval before publishing
+ * POST /api/samples/:id/review
+ *
+ * - Only LAB_TESTED samples can be reviewed
+ * - Reviewer must not be the lab tester (or amender) of the current results
+ * - Body: { comments? }
+ */
+const reviewSample = async (req, res, next) => {
+  try {
+    const { comments } = req.body;
+    const sample = await Sample.findById(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    if (sample.isDeleted || sample.lifecycleStatus !== 'LAB_TESTED' || sample.sampleType === 'QC') {
+      return res.status(400).json(
+        ApiResponse.error(`Cannot review a sample in ${sample.lifecycleStatus} status (expected LAB_TESTED)`, 400)
+      );
+    }
+
+    if (sample.getLabResultAuthors().includes(req.user._id.toString())) {
+      return res.status(403).json(
+        ApiResponse.error('Results must be reviewed by someone other than the lab tester', 403)
+      );
+    }
+
+    sample.review = {
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      comments: comments || ''
+    };
+    await sample.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_REVIEWED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        revision: sample.revision,
+        labTestedBy: sample.testInfo.labTestedBy,
+        comments: sample.review.comments
+      },
+      ipAddress: req.ip
+    });
+
+    const populatedSample = await Sample.findById(sample._id)
+      .populate('collectedBy', 'name email')
+      .populate('testInfo.labTestedBy', 'name email')
+      .populate('review.reviewedBy', 'name email');
+
+    res.json(ApiResponse.success(populatedSample, 'Lab results reviewed, ready to publish'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retract published results with a public notice
+ * PATCH /api/samples/:id/retract
+ *
+ * Body: { reason } - shown publicly instead of the parameter values
+ */
+const retractSample = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const sample = await Sample.findById(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    const now = new Date();
+    sample.retraction = {
+      reason,
+      retractedBy: req.user._id,
+      retractedAt: now
+    };
+
+    // Only PUBLISHED samples can be retracted
+    const transitionError = checkTransition(sample, 'RETRACT', req.user);
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(
+        ApiResponse.error(transitionError.message, transitionError.statusCode)
+      );
+    }
+
+    applyTransition(sample, 'RETRACT', { user: req.user, reason, at: now });
+    await sample.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_RETRACTED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        reason,
+        overallStatus: sample.overallStatus
+      },
+      ipAddress: req.ip
+    });
+
+    res.json(ApiResponse.success(sample, 'Sample results retracted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Archive sample
+ * PATCH /api/samples/:id/archive
+ */
+const archiveSample = async (req, res, next) => {
+  try {
+    const sample = await Sample.findById(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    // Only PUBLISHED samples can be archived
+    const transitionError = checkTransition(sample, 'ARCHIVE', req.user);
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(
+        ApiResponse.error(transitionError.message, transitionError.statusCode)
+      );
+    }
+
+    applyTransition(sample, 'ARCHIVE', { user: req.user, reason: req.body.reason });
+    await sample.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_ARCHIVED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: { reason: req.body.reason || null },
       ipAddress: req.ip
     });
 
@@ -414,6 +1099,323 @@ const archiveSample = async (req, res, next) => {
  * PATCH /api/samples/:id/restore
  */
 const restoreSample = async (req, res, next) => {
+  try {
+    const sample = await Sample.findById(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    // Only ARCHIVED samples can be restored
+    const transitionError = checkTransition(sample, 'RESTORE', req.user);
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(
+        ApiResponse.error(transitionError.message, transitionError.statusCode)
+      );
+    }
+
+    applyTransition(sample, 'RESTORE', { user: req.user, reason: req.body.reason });
+    await sample.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_RESTORED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: { reason: req.body.reason || null },
+      ipAddress: req.ip
+    });
+
+    res.json(ApiResponse.success(sample, 'Sample restored successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Bulk action → lifecycle transition + audit action
+const BULK_ACTIONS = {
+  publish: { transition: 'PUBLISH', auditAction: 'SAMPLE_PUBLISHED' },
+  archive: { transition: 'ARCHIVE', auditAction: 'SAMPLE_ARCHIVED' },
+  restore: { transition: 'RESTORE', auditAction: 'SAMPLE_RESTORED' }
+};
+
+/**
+ * Apply one lifecycle transition to many samples
+ * Each sample is validated and saved on its own - one failure doesn't stop the batch
+ *
+ * Body: { ids: [...] } OR { filter: { lifecycleStatus, overallStatus, search } }, optional reason
+ */
+const runBulkTransition = async (req, res, next, bulkAction) => {
+  try {
+    const { ids, filter, reason = null } = req.body;
+    const { transition, auditAction } = BULK_ACTIONS[bulkAction];
+
+    let samples;
+    const results = [];
+
+    if (ids) {
+      samples = await Sample.find({ _id: { $in: ids } });
+      const foundIds = samples.map(s => s._id.toString());
+      ids.filter(id => !foundIds.includes(id)).forEach(id => {
+        results.push({ id, sampleId: null, success: false, error: 'Sample not found' });
+      });
+    } else {
+      samples = await Sample.find(buildSampleQuery(filter))
+        .sort({ createdAt: -1 })
+        .limit(BULK_LIMIT + 1);
+      if (samples.length > BULK_LIMIT) {
+        return res.status(400).json(
+          ApiResponse.error(`Filter matches more than ${BULK_LIMIT} samples. Narrow the filter.`, 400)
+        );
+      }
+    }
+
+    for (const sample of samples) {
+      const result = { id: sample._id.toString(), sampleId: sample.sampleId };
+
+      const transitionError = checkTransition(sample, transition, req.user);
+      if (transitionError) {
+        results.push({ ...result, success: false, error: transitionError.message });
+        continue;
+      }
+
+      try {
+        applyTransition(sample, transition, { user: req.user, reason });
+        await sample.save();
+
+        await AuditLog.logAction({
+          action: auditAction,
+          performedBy: req.user._id,
+          sampleRef: sample._id,
+          details: {
+            bulk: true,
+            reason,
+            overallStatus: sample.overallStatus
+          },
+          ipAddress: req.ip
+        });
+
+        results.push({ ...result, success: true, lifecycleStatus: sample.lifecycleStatus });
+      } catch (error) {
+        results.push({ ...result, success: false, error: error.message });
+      }
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+
+    res.json(ApiResponse.success({
+      action: transition,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    }, `Bulk ${bulkAction}: ${succeeded} of ${results.length} samples updated`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Bulk publish samples - LAB_TESTED → PUBLISHED
+ * POST /api/samples/bulk/publish
+ */
+const bulkPublish = (req, res, next) => runBulkTransition(req, res, next, 'publish');
+
+/**
+ * Bulk archive samples - PUBLISHED → ARCHIVED
+ * POST /api/samples/bulk/archive
+ */
+const bulkArchive = (req, res, next) => runBulkTransition(req, res, next, 'archive');
+
+/**
+ * Bulk restore samples - ARCHIVED → PUBLISHED
+ * POST /api/samples/bulk/restore
+ */
+const bulkRestore = (req, res, next) => runBulkTransition(req, res, next, 'restore');
+
+/**
+ * What-if: re-evaluate samples against proposed limits (nothing is saved)
+ * POST /api/samples/what-if
+ *
+ * Body: { limits: [{ parameter, acceptableLimit?, permissibleLimit?, enumEvaluation? }], standard?, ids? | filter? }
+ * - standard: propose limits for this standard's limit set (default: ParameterMaster limits)
+ * - Only LAB tested samples (with overallStatus) recording a proposed parameter are evaluated
+ * - Results evaluated against another limit set are skipped (totals.parameterResultsSkipped)
+ * - Returns per-sample before/after statuses and aggregate counts of changes
+ */
+const whatIfLimits = async (req, res, next) => {
+  try {
+    const { limits, ids, filter, standard: standardCode } = req.body;
+
+    const paramIds = limits.map(l => l.parameter);
+    const paramDocs = await ParameterMaster.find({ _id: { $in: paramIds } });
+    if (paramDocs.length !== new Set(paramIds).size) {
+      const validIds = paramDocs.map(p => p._id.toString());
+      const invalidIds = paramIds.filter(id => !validIds.includes(id));
+      return res.status(400).json(
+        ApiResponse.error(`Invalid parameter IDs: ${invalidIds.join(', ')}`, 400)
+      );
+    }
+
+    // The baseline standard's limits are the ParameterMaster limits
+    let standard = null;
+    if (standardCode) {
+      standard = await Standard.resolve(standardCode);
+      if (!standard) {
+        return res.status(400).json(
+          ApiResponse.error(`Standard ${standardCode.toUpperCase()} not found or inactive`, 400)
+        );
+      }
+      if (standard.isBaseline()) {
+        standard = null;
+      }
+    }
+
+    const proposed = new Map(paramDocs.map(p => [
+      p._id.toString(),
+      { paramMaster: p, limits: buildProposedLimits(p, limits.find(l => l.parameter === p._id.toString()), standard) }
+    ]));
+
+    const query = {
+      ...(ids ? { _id: { $in: ids } } : buildSampleQuery(filter)),
+      overallStatus: { $ne: null },
+      'parameters.parameterRef': { $in: paramDocs.map(p => p._id) }
+    };
+
+    const samples = await Sample.find(query)
+      .select('sampleId title lifecycleStatus overallStatus standard standardVersion parameters')
+      .sort({ collectedAt: -1 })
+      .limit(WHAT_IF_LIMIT + 1)
+      .lean();
+
+    if (samples.length > WHAT_IF_LIMIT) {
+      return res.status(400).json(
+        ApiResponse.error(`Selection matches more than ${WHAT_IF_LIMIT} samples. Narrow the filter.`, 400)
+      );
+    }
+
+    // Standards with their own limit sets decide which results the proposal affects
+    const standardIds = [...new Set(samples.filter(s => s.standard).map(s => s.standard.toString()))];
+    const standards = await Standard.find({ _id: { $in: standardIds } });
+
+    const { totals, samples: results } = evaluateWhatIf(samples, proposed, { standards, standard });
+
+    res.json(ApiResponse.success({
+      standard: standard ? standard.code : null,
+      proposedLimits: [...proposed.values()].map(({ paramMaster, limits: proposal }) => ({
+        parameter: paramMaster._id,
+        code: paramMaster.code,
+        name: paramMaster.name,
+        ...paramMaster.getLimitSnapshot(proposal),
+        enumEvaluation: Object.fromEntries(proposal.enumEvaluation)
+      })),
+      totals,
+      samples: results
+    }, `What-if: ${totals.overallChanged} of ${totals.samplesEvaluated} samples would change overall status`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Soft delete sample - moves it to trash
+ * DELETE /api/samples/:id
+ *
+ * Body: { reason }
+ */
+const deleteSample = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const sample = await Sample.findById(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    if (sample.isDeleted) {
+      return res.status(400).json(
+        ApiResponse.error('Sample is already deleted', 400)
+      );
+    }
+
+    sample.isDeleted = true;
+    sample.deletion = {
+      reason,
+      deletedBy: req.user._id,
+      deletedAt: new Date()
+    };
+    await sample.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_DELETED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        reason,
+        lifecycleStatus: sample.lifecycleStatus
+      },
+      ipAddress: req.ip
+    });
+
+    res.json(ApiResponse.success(sample, 'Sample moved to trash'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get soft-deleted samples
+ * GET /api/samples/trash
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const query = { isDeleted: true };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [samples, total] = await Promise.all([
+      Sample.find(query)
+        .populate('collectedBy', 'name email')
+        .populate('deletion.deletedBy', 'name email')
+        .sort({ 'deletion.deletedAt': -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Sample.countDocuments(query)
+    ]);
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_TRASH_VIEWED',
+      performedBy: req.user._id,
+      details: { page: parseInt(page), totalItems: total },
+      ipAddress: req.ip
+    });
+
+    res.json(
+      ApiResponse.paginated(samples, {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }, 'Deleted samples retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Undelete sample - restores it from trash
+ * PATCH /api/samples/:id/undelete
+ */
+const undeleteSample = async (req, res, next) => {
   try {
     const sample = await Sample.findById(req.params.id);
 
@@ -425,23 +1427,91 @@ const restoreSample = async (req, res, next) => {
 
     if (!sample.isDeleted) {
       return res.status(400).json(
-        ApiResponse.error('Sample is not archived', 400)
+        ApiResponse.error('Sample is not deleted', 400)
       );
     }
 
+    const previousDeletion = sample.deletion;
     sample.isDeleted = false;
+    sample.deletion = null;
     await sample.save();
 
     // Log action
     await AuditLog.logAction({
-      action: 'SAMPLE_RESTORED',
+      action: 'SAMPLE_UNDELETED',
       performedBy: req.user._id,
       sampleRef: sample._id,
-      details: {},
+      details: {
+        sampleId: sample.sampleId,
+        deletionReason: previousDeletion?.reason ?? null,
+        deletedAt: previousDeletion?.deletedAt ?? null
+      },
       ipAddress: req.ip
     });
 
-    res.json(ApiResponse.success(sample, 'Sample restored successfully'));
+    res.json(ApiResponse.success(sample, 'Sample restored from trash'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Purge sample - permanently removes a trashed sample and its images
+ * DELETE /api/samples/:id/purge
+ *
+ * Only samples already in trash can be purged
+ */
+const purgeSample = async (req, res, next) => {
+  try {
+    const sample = await Sample.findById(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json(
+        ApiResponse.error('Sample not found', 404)
+      );
+    }
+
+    if (!sample.isDeleted) {
+      return res.status(400).json(
+        ApiResponse.error('Sample must be deleted (in trash) before purging', 400)
+      );
+    }
+
+    // Remove stored images and attachments (Cloudinary or local)
+    await Promise.all([
+      deleteFile(sample.images?.sampleImageUrl),
+      deleteFile(sample.images?.locationImageUrl),
+      ...sample.attachments.map(a => deleteFile(a.url))
+    ]);
+
+    // Unlink from the original sample's follow-ups
+    if (sample.resampleOf) {
+      await Sample.updateOne(
+        { _id: sample.resampleOf },
+        { $pull: { followUps: sample._id } }
+      );
+    }
+
+    await Promise.all([
+      Sample.deleteOne({ _id: sample._id }),
+      Comment.deleteMany({ sample: sample._id })
+    ]);
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SAMPLE_PURGED',
+      performedBy: req.user._id,
+      sampleRef: sample._id,
+      details: {
+        sampleId: sample.sampleId,
+        title: sample.title,
+        lifecycleStatus: sample.lifecycleStatus,
+        deletionReason: sample.deletion?.reason ?? null
+      },
+      ipAddress: req.ip
+    });
+
+    res.json(ApiResponse.success(null, 'Sample permanently deleted'));
   } catch (error) {
     next(error);
   }
@@ -453,29 +1523,31 @@ const restoreSample = async (req, res, next) => {
  */
 const getStats = async (req, res, next) => {
   try {
-    const baseQuery = { isDeleted: false };
+    // QC samples are lab controls, not part of the sample statistics
+    const baseQuery = { isDeleted: false, sampleType: { $ne: 'QC' } };
+
+    // Detected (uncensored) numeric value of a parameter, null otherwise
+    const detectedValue = {
+      $cond: [
+        { $eq: [{ $ifNull: ['$parameters.qualifier', null] }, null] },
+        { $convert: { input: '$parameters.value', to: 'double', onError: null, onNull: null } },
+        null
+      ]
+    };
+    const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
 
-    const [testStats, overallStats, monthlyTrend, archivedCount, total] = await Promise.all([
-      // Count by test status
+    const [lifecycleStats, overallStats, monthlyTrend, parameterStats] = await Promise.all([
+      // Count by lifecycle state
       Sample.aggregate([
         { $match: baseQuery },
-        {
-          $group: {
-            _id: {
-              fieldTested: '$testInfo.fieldTested',
-              labTested: '$testInfo.labTested',
-              published: '$testInfo.published'
-            },
-            count: { $sum: 1 }
-          }
-        }
+        { $group: { _id: '$lifecycleStatus', count: { $sum: 1 } } }
       ]),
       Sample.aggregate([
-        { $match: { ...baseQuery, overallStatus: { $ne: null } } },
+        { $match: { ...baseQuery, lifecycleStatus: { $ne: 'ARCHIVED' }, overallStatus: { $ne: null } } },
         { $group: { _id: '$overallStatus', count: { $sum: 1 } } }
       ]),
       Sample.aggregate([
-        { $match: baseQuery },
+        { $match: { ...baseQuery, lifecycleStatus: { $ne: 'ARCHIVED' } } },
         {
           $group: {
             _id: {
@@ -488,33 +1560,54 @@ const getStats = async (req, res, next) => {
         { $sort: { '_id.year': -1, '_id.month': -1 } },
         { $limit: 12 }
       ]),
-      Sample.countDocuments({ isDeleted: true }),
-      Sample.countDocuments(baseQuery)
+      // Numeric results per parameter - censored values are counted, not included in min / max
+      Sample.aggregate([
+        { $match: { ...baseQuery, lifecycleStatus: { $ne: 'ARCHIVED' } } },
+        { $unwind: '$parameters' },
+        { $match: { 'parameters.type': { $in: ['RANGE', 'MAX'] } } },
+        { $addFields: { detectedValue } },
+        {
+          $group: {
+            _id: '$parameters.code',
+            name: { $last: '$parameters.name' },
+            unit: { $last: '$parameters.unit' },
+            count: { $sum: 1 },
+            detected: countIf({ $ne: ['$detectedValue', null] }),
+            notDetected: countIf({ $eq: ['$parameters.qualifier', 'ND'] }),
+            belowBound: countIf({ $eq: ['$parameters.qualifier', '<'] }),
+            aboveBound: countIf({ $eq: ['$parameters.qualifier', '>'] }),
+            belowQuantitation: countIf({ $eq: ['$parameters.belowQuantitation', true] }),
+            min: { $min: '$detectedValue' },
+            max: { $max: '$detectedValue' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ])
     ]);
 
-    // Calculate counts based on testInfo
-    let fieldTestedOnly = 0;
-    let labTested = 0;
-    let published = 0;
-
-    testStats.forEach(stat => {
-      if (stat._id.published) {
-        published += stat.count;
-      } else if (stat._id.labTested) {
-        labTested += stat.count;
-      } else if (stat._id.fieldTested) {
-        fieldTestedOnly += stat.count;
+    // Calculate counts based on lifecycleStatus
+    const byLifecycleStatus = {};
+    lifecycleStatuses.forEach(status => {
+      byLifecycleStatus[status] = 0;
+    });
+    lifecycleStats.forEach(stat => {
+      if (byLifecycleStatus[stat._id] !== undefined) {
+        byLifecycleStatus[stat._id] = stat.count;
       }
     });
 
+    const archived = byLifecycleStatus.ARCHIVED;
+    const total = Object.values(byLifecycleStatus).reduce((sum, count) => sum + count, 0) - archived;
+
     const stats = {
       total,
-      archived: archivedCount,
+      archived,
       byStatus: {
-        fieldTestedOnly,
-        labTested,
-        published
+        fieldTestedOnly: byLifecycleStatus.FIELD_TESTED,
+        labTested: byLifecycleStatus.LAB_TESTED,
+        published: byLifecycleStatus.PUBLISHED
       },
+      byLifecycleStatus,
       byOverallStatus: {
         ACCEPTABLE: 0,
         PERMISSIBLE: 0,
@@ -524,7 +1617,9 @@ const getStats = async (req, res, next) => {
         year: m._id.year,
         month: m._id.month,
         count: m.count
-      }))
+      })),
+      // min / max over detected values only
+      byParameter: parameterStats.map(({ _id, ...stat }) => ({ code: _id, ...stat }))
     };
 
     overallStats.forEach(stat => {
@@ -539,15 +1634,73 @@ const getStats = async (req, res, next) => {
   }
 };
 
+/**
+ * Audit sample ID sequences for gaps - ADMIN only
+ * GET /api/samples/id-audit
+ *
+ * For each counter (PREFIX-PERIOD), compares issued numbers with stored samples.
+ * Missing numbers are reported as purged (with audit trail) or unexplained.
+ */
+const getSampleIdAudit = async (req, res, next) => {
+  try {
+    const maxListed = 1000;
+    const counters = await Counter.find({}).sort({ key: 1 }).lean();
+
+    const sequences = [];
+    for (const counter of counters) {
+      const samples = await Sample.find({ sampleId: { $regex: `^${counter.key}-\\d+$` } })
+        .select('sampleId')
+        .lean();
+      const used = new Set(samples.map(s => parseInt(s.sampleId.split('-').pop())));
+
+      const missingIds = [];
+      for (let n = 1; n <= counter.seq && missingIds.length < maxListed; n++) {
+        if (!used.has(n)) {
+          missingIds.push(`${counter.key}-${n.toString().padStart(5, '0')}`);
+        }
+      }
+
+      const purgeLogs = await AuditLog.find({
+        action: 'SAMPLE_PURGED',
+        'details.sampleId': { $in: missingIds }
+      }).select('details.sampleId createdAt performedBy').lean();
+      const purgedIds = purgeLogs.map(log => log.details.sampleId);
+
+      sequences.push({
+        key: counter.key,
+        issued: counter.seq,
+        stored: samples.length,
+        purged: purgeLogs.map(log => ({
+          sampleId: log.details.sampleId,
+          purgedAt: log.createdAt,
+          purgedBy: log.performedBy
+        })),
+        unexplainedGaps: missingIds.filter(id => !purgedIds.includes(id))
+      });
+    }
+
+    res.json(ApiResponse.success({
+      sequences,
+      totalUnexplainedGaps: sequences.reduce((sum, s) => sum + s.unexplainedGaps.length, 0)
+    }, 'Sample ID audit completed'));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Download sample as PDF report
  * GET /api/samples/:id/pdf
+ *
+ * Query params:
+ * - revision: Lab result revision to print (default: latest)
  */
 const downloadPDF = async (req, res, next) => {
   try {
     const sample = await Sample.findById(req.params.id)
       .populate('collectedBy', 'name email')
-      .populate('testInfo.labTestedBy', 'name email');
+      .populate('testInfo.labTestedBy', 'name email')
+      .populate('review.reviewedBy', 'name email');
 
     if (!sample) {
       return res.status(404).json(
@@ -555,12 +1708,20 @@ const downloadPDF = async (req, res, next) => {
       );
     }
 
+    const data = sample.getRevision(req.query.revision);
+    if (!data) {
+      return res.status(404).json(
+        ApiResponse.error(`Revision ${req.query.revision} not found for this sample`, 404)
+      );
+    }
+
     // Generate PDF
-    const doc = generateSampleReport(sample);
+    const doc = generateSampleReport(data);
 
     // Set response headers
+    const filename = data.revision > 0 ? `${sample.sampleId}-rev${data.revision}-report.pdf` : `${sample.sampleId}-report.pdf`;
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${sample.sampleId}-report.pdf"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
 
     // Pipe PDF to response
     doc.pipe(res);
@@ -571,7 +1732,7 @@ const downloadPDF = async (req, res, next) => {
       action: 'SAMPLE_PDF_DOWNLOADED',
       performedBy: req.user._id,
       sampleRef: sample._id,
-      details: { sampleId: sample.sampleId },
+      details: { sampleId: sample.sampleId, revision: data.revision },
       ipAddress: req.ip
     });
   } catch (error) {
@@ -582,10 +1743,26 @@ const downloadPDF = async (req, res, next) => {
 module.exports = {
   getAllSamples,
   getSampleById,
+  updateSample,
+  receiveSample,
+  createQcSample,
   submitLabTest,
+  amendLabResults,
+  rejectSample,
+  reviewSample,
   publishSample,
+  retractSample,
   archiveSample,
   restoreSample,
+  bulkPublish,
+  bulkArchive,
+  bulkRestore,
+  whatIfLimits,
+  deleteSample,
+  getTrash,
+  undeleteSample,
+  purgeSample,
   getStats,
+  getSampleIdAudit,
   downloadPDF
 };
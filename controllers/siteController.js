@@ -0,0 +1,267 @@
+/**
+ * Site Controller
+ * Sampling site registry - fixed water sources that samples link to
+ */
+
+const { Site, Sample, AuditLog } = require('../models');
+const ApiResponse = require('../utils/ApiResponse');
+
+// Site fields an admin may set on create / update
+const SITE_FIELDS = ['code', 'name', 'sourceType', 'owner', 'address', 'identifiers', 'notes', 'isActive'];
+
+const pickSiteFields = (body) => {
+  const data = {};
+  SITE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  if (body.location !== undefined) {
+    data.location = {
+      type: 'Point',
+      coordinates: [parseFloat(body.location.longitude), parseFloat(body.location.latitude)]
+    };
+  }
+  return data;
+};
+
+/**
+ * Get all sites with filtering and pagination
+ * GET /api/sites
+ */
+const getAllSites = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, includeInactive, sourceType, search } = req.query;
+
+    const query = {};
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    if (sourceType) {
+      query.sourceType = sourceType.toUpperCase();
+    }
+
+    if (search) {
+      query.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } },
+        { address: { $regex: search, $options: 'i' } },
+        { 'identifiers.value': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [sites, total] = await Promise.all([
+      Site.find(query)
+        .sort({ code: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Site.countDocuments(query)
+    ]);
+
+    res.json(
+      ApiResponse.paginated(sites, {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }, 'Sites retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get site by ID
+ * GET /api/sites/:id
+ */
+const getSiteById = async (req, res, next) => {
+  try {
+    const site = await Site.findById(req.params.id).populate('createdBy', 'name email');
+
+    if (!site) {
+      return res.status(404).json(
+        ApiResponse.error('Site not found', 404)
+      );
+    }
+
+    res.json(ApiResponse.success(site, 'Site retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get sample history of a site with its latest overall status
+ * GET /api/sites/:id/history
+ *
+ * - Samples sorted by collectedAt (newest first), QC and deleted samples excluded
+ * - latestOverallStatus comes from the newest released (PUBLISHED / ARCHIVED) sample
+ * - samplesCount counts all samples of the site, samples holds the newest `limit`
+ */
+const getSiteHistory = async (req, res, next) => {
+  try {
+    const { limit = 100 } = req.query;
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json(
+        ApiResponse.error('Site not found', 404)
+      );
+    }
+
+    const query = {
+      site: site._id,
+      isDeleted: false,
+      sampleType: { $ne: 'QC' }
+    };
+
+    const [samples, samplesCount, latestReleased] = await Promise.all([
+      Sample.find(query)
+        .select('sampleId title collectedAt lifecycleStatus overallStatus parameters.code parameters.name parameters.unit parameters.value parameters.qualifier parameters.status')
+        .sort({ collectedAt: -1 })
+        .limit(parseInt(limit))
+        .lean(),
+      Sample.countDocuments(query),
+      // Unreviewed and retracted results never set the site status
+      Sample.findOne({ ...query, lifecycleStatus: { $in: ['PUBLISHED', 'ARCHIVED'] }, overallStatus: { $ne: null } })
+        .select('overallStatus collectedAt')
+        .sort({ collectedAt: -1 })
+        .lean()
+    ]);
+
+    res.json(ApiResponse.success({
+      site,
+      latestOverallStatus: latestReleased ? latestReleased.overallStatus : null,
+      latestTestedAt: latestReleased ? latestReleased.collectedAt : null,
+      samplesCount,
+      samples
+    }, 'Site history retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create site - ADMIN only
+ * POST /api/sites
+ */
+const createSite = async (req, res, next) => {
+  try {
+    const siteData = pickSiteFields(req.body);
+
+    const existing = await Site.findOne({ code: siteData.code.toUpperCase() });
+    if (existing) {
+      return res.status(400).json(
+        ApiResponse.error(`Site with code ${siteData.code.toUpperCase()} already exists`, 400)
+      );
+    }
+
+    const site = await Site.create({ ...siteData, createdBy: req.user._id });
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SITE_CREATED',
+      performedBy: req.user._id,
+      details: { siteId: site._id, code: site.code, name: site.name },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json(ApiResponse.success(site, 'Site created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update site - ADMIN only
+ * PATCH /api/sites/:id
+ */
+const updateSite = async (req, res, next) => {
+  try {
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json(
+        ApiResponse.error('Site not found', 404)
+      );
+    }
+
+    const updates = pickSiteFields(req.body);
+
+    if (updates.code && updates.code.toUpperCase() !== site.code) {
+      const existing = await Site.findOne({ code: updates.code.toUpperCase() });
+      if (existing) {
+        return res.status(400).json(
+          ApiResponse.error(`Site with code ${updates.code.toUpperCase()} already exists`, 400)
+        );
+      }
+    }
+
+    site.set(updates);
+    await site.save();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SITE_UPDATED',
+      performedBy: req.user._id,
+      details: { siteId: site._id, code: site.code, fields: Object.keys(updates) },
+      ipAddress: req.ip
+    });
+
+    res.json(ApiResponse.success(site, 'Site updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete site - ADMIN only
+ * DELETE /api/sites/:id
+ *
+ * Sites with linked samples keep their history - deactivate them instead
+ */
+const deleteSite = async (req, res, next) => {
+  try {
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json(
+        ApiResponse.error('Site not found', 404)
+      );
+    }
+
+    const linkedSamples = await Sample.countDocuments({ site: site._id });
+    if (linkedSamples > 0) {
+      return res.status(400).json(
+        ApiResponse.error(`Site has ${linkedSamples} linked sample(s). Deactivate it instead (isActive: false).`, 400)
+      );
+    }
+
+    await site.deleteOne();
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'SITE_DELETED',
+      performedBy: req.user._id,
+      details: { siteId: site._id, code: site.code, name: site.name },
+      ipAddress: req.ip
+    });
+
+    res.json(ApiResponse.success(null, 'Site deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllSites,
+  getSiteById,
+  getSiteHistory,
+  createSite,
+  updateSite,
+  deleteSite
+};
@@ -0,0 +1,318 @@
+/**
+ * Standard Controller
+ * Drinking-water standards (IS 10500, WHO, state norms) with per-parameter limit sets
+ *
+ * - Samples select a standard at creation or LAB test (default: isDefault standard)
+ * - Parameters a standard does not list fall back to their ParameterMaster limits
+ * - The baseline standard (config.standardVersion) is the ParameterMaster limits and has no limit set
+ * - Limit sets are versioned (StandardVersion): samples use the one in effect at collection
+ */
+
+const { Standard, StandardVersion, ParameterMaster, AuditLog } = require('../models');
+const ApiResponse = require('../utils/ApiResponse');
+
+/**
+ * Validate a limit set against parameter definitions
+ * Returns { limits } (normalized) or { error }
+ */
+const buildLimitSet = async (limits) => {
+  const paramIds = limits.map(l => l.parameter);
+  if (new Set(paramIds).size !== paramIds.length) {
+    return { error: 'Each parameter can appear only once in limits' };
+  }
+
+  const paramDocs = await ParameterMaster.find({ _id: { $in: paramIds } });
+  if (paramDocs.length !== paramIds.length) {
+    const validIds = paramDocs.map(p => p._id.toString());
+    const invalidIds = paramIds.filter(id => !validIds.includes(id));
+    return { error: `Invalid parameter IDs in limits: ${invalidIds.join(', ')}` };
+  }
+
+  const built = [];
+  for (const limit of limits) {
+    const paramMaster = paramDocs.find(p => p._id.toString() === limit.parameter);
+    const entry = { parameter: paramMaster._id };
+
+    if (paramMaster.type === 'RANGE' || paramMaster.type === 'MAX') {
+      entry.acceptableLimit = {
+        min: limit.acceptableLimit?.min ?? null,
+        max: limit.acceptableLimit?.max ?? null
+      };
+      entry.permissibleLimit = {
+        min: limit.permissibleLimit?.min ?? null,
+        max: limit.permissibleLimit?.max ?? null
+      };
+    }
+
+    // ENUM statuses may differ per standard, the allowed values may not
+    if (paramMaster.type === 'ENUM' && limit.enumEvaluation) {
+      const enumKeys = paramMaster.getEnumKeys();
+      const unknownKeys = Object.keys(limit.enumEvaluation).filter(key => !enumKeys.includes(key));
+      if (unknownKeys.length > 0) {
+        return { error: `${paramMaster.name}: Unknown values ${unknownKeys.join(', ')}. Must be one of: ${enumKeys.join(', ')}` };
+      }
+      entry.enumEvaluation = limit.enumEvaluation;
+    }
+
+    built.push(entry);
+  }
+
+  return { limits: built };
+};
+
+/**
+ * Standards created before versioning get their current limit set
+ * recorded as a baseline version (effective from creation) before the first change
+ */
+const ensureBaselineVersion = async (standard) => {
+  const hasVersions = await StandardVersion.exists({ standard: standard._id });
+  if (!hasVersions) {
+    await StandardVersion.record(standard, {
+      effectiveFrom: standard.createdAt,
+      reason: 'Baseline - limits before version history'
+    });
+  }
+};
+
+/**
+ * Only one standard can be the default
+ */
+const clearOtherDefaults = (standardId) => Standard.updateMany(
+  { _id: { $ne: standardId }, isDefault: true },
+  { $set: { isDefault: false } }
+);
+
+/**
+ * Get all standards
+ * GET /api/standards
+ */
+const getAllStandards = async (req, res, next) => {
+  try {
+    const { includeInactive } = req.query;
+
+    const query = {};
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const standards = await Standard.find(query)
+      .select('-limits')
+      .sort({ isDefault: -1, code: 1 });
+
+    res.json(ApiResponse.success(standards, 'Standards retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get standard by ID with its limit set
+ * GET /api/standards/:id
+ */
+const getStandardById = async (req, res, next) => {
+  try {
+    const standard = await Standard.findById(req.params.id)
+      .populate('limits.parameter', 'code name unit type testLocation');
+
+    if (!standard) {
+      return res.status(404).json(
+        ApiResponse.error('Standard not found', 404)
+      );
+    }
+
+    res.json(ApiResponse.success(standard, 'Standard retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create standard - ADMIN only
+ * POST /api/standards
+ *
+ * Body: { code, name, description?, isDefault?, limits?: [{ parameter, acceptableLimit?, permissibleLimit?, enumEvaluation? }] }
+ */
+const createStandard = async (req, res, next) => {
+  try {
+    const { code, name, description, isDefault = false, limits = [] } = req.body;
+
+    const existing = await Standard.findOne({ code: code.toUpperCase() });
+    if (existing) {
+      return res.status(400).json(
+        ApiResponse.error(`Standard with code ${code.toUpperCase()} already exists`, 400)
+      );
+    }
+
+    const limitResult = await buildLimitSet(limits);
+    if (limitResult.error) {
+      return res.status(400).json(ApiResponse.error(limitResult.error, 400));
+    }
+
+    const standard = await Standard.create({
+      code,
+      name,
+      description,
+      isDefault,
+      limits: limitResult.limits,
+      createdBy: req.user._id
+    });
+
+    await StandardVersion.record(standard, {
+      effectiveFrom: standard.createdAt,
+      author: req.user._id,
+      reason: 'Standard created'
+    });
+
+    if (standard.isDefault) {
+      await clearOtherDefaults(standard._id);
+    }
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'STANDARD_CREATED',
+      performedBy: req.user._id,
+      details: {
+        standardId: standard._id,
+        code: standard.code,
+        limitsCount: standard.limits.length,
+        isDefault: standard.isDefault
+      },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json(ApiResponse.success(standard, 'Standard created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update standard - ADMIN only
+ * PATCH /api/standards/:id
+ *
+ * Body: { code?, name?, description?, isDefault?, isActive?, limits?, reason?, effectiveFrom? }
+ * - limits replaces the whole limit set and records a new immutable version (reason required)
+ * - effectiveFrom (default now): samples collected from this date on use the new limit set
+ * - cannot be in the future or before the latest version's effectiveFrom
+ * - already tested samples keep the limits stored in their snapshots
+ */
+const updateStandard = async (req, res, next) => {
+  try {
+    const standard = await Standard.findById(req.params.id);
+
+    if (!standard) {
+      return res.status(404).json(
+        ApiResponse.error('Standard not found', 404)
+      );
+    }
+
+    const { code, limits, reason, effectiveFrom } = req.body;
+
+    if (code && code.toUpperCase() !== standard.code) {
+      const existing = await Standard.findOne({ code: code.toUpperCase() });
+      if (existing) {
+        return res.status(400).json(
+          ApiResponse.error(`Standard with code ${code.toUpperCase()} already exists`, 400)
+        );
+      }
+    }
+
+    const effectiveDate = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (limits) {
+      if (effectiveDate > new Date()) {
+        return res.status(400).json(
+          ApiResponse.error('effectiveFrom cannot be in the future', 400)
+        );
+      }
+
+      await ensureBaselineVersion(standard);
+      const latest = await StandardVersion.findOne({ standard: standard._id }).sort({ version: -1 });
+      if (effectiveDate < latest.effectiveFrom) {
+        return res.status(400).json(
+          ApiResponse.error(`effectiveFrom cannot be before the current limit set (v${latest.version}, effective ${latest.effectiveFrom.toISOString()})`, 400)
+        );
+      }
+
+      const limitResult = await buildLimitSet(limits);
+      if (limitResult.error) {
+        return res.status(400).json(ApiResponse.error(limitResult.error, 400));
+      }
+      standard.limits = limitResult.limits;
+    }
+
+    const fields = ['code', 'name', 'description', 'isDefault', 'isActive'];
+    const updated = fields.filter(field => req.body[field] !== undefined);
+    updated.forEach(field => {
+      standard[field] = req.body[field];
+    });
+
+    await standard.save();
+
+    const version = limits
+      ? await StandardVersion.record(standard, {
+        effectiveFrom: effectiveDate,
+        author: req.user._id,
+        reason
+      })
+      : null;
+
+    if (standard.isDefault) {
+      await clearOtherDefaults(standard._id);
+    }
+
+    // Log action
+    await AuditLog.logAction({
+      action: 'STANDARD_UPDATED',
+      performedBy: req.user._id,
+      details: {
+        standardId: standard._id,
+        code: standard.code,
+        fields: limits ? [...updated, 'limits'] : updated,
+        ...(version && { limitsVersion: version.version, effectiveFrom: version.effectiveFrom, reason })
+      },
+      ipAddress: req.ip
+    });
+
+    const message = version
+      ? `Standard updated successfully (limits v${version.version})`
+      : 'Standard updated successfully';
+    res.json(ApiResponse.success(standard, message));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get limit set version history of a standard (newest first)
+ * GET /api/standards/:id/history
+ */
+const getStandardHistory = async (req, res, next) => {
+  try {
+    const standard = await Standard.findById(req.params.id).select('code name');
+
+    if (!standard) {
+      return res.status(404).json(
+        ApiResponse.error('Standard not found', 404)
+      );
+    }
+
+    const versions = await StandardVersion.find({ standard: standard._id })
+      .populate('author', 'name email')
+      .sort({ version: -1 });
+
+    res.json(ApiResponse.success({
+      standard,
+      versions
+    }, 'Standard history retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllStandards,
+  getStandardById,
+  getStandardHistory,
+  createStandard,
+  updateStandard
+};
@@ -96,10 +96,10 @@ const updateUserStatus = async (req, res, next) => {
 };
 
 // Admin creates users - no public registration
-// Only TEAM_MEMBER role can be created via API
+// Only TEAM_MEMBER and LAB_ANALYST roles can be created via API
 const createUser = async (req, res, next) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, role } = req.body;
 
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -108,12 +108,12 @@ const createUser = async (req, res, next) => {
       );
     }
 
-    // Force role to TEAM_MEMBER - ADMIN and PUBLIC_VIEWER cannot be created via API
+    // ADMIN cannot be created via API - anything but LAB_ANALYST becomes TEAM_MEMBER
     const user = await User.create({
       name,
       email,
       password,
-      role: 'TEAM_MEMBER'
+      role: role === 'LAB_ANALYST' ? 'LAB_ANALYST' : 'TEAM_MEMBER'
     });
 
     // Log action
@@ -139,7 +139,7 @@ const createUser = async (req, res, next) => {
   }
 };
 
-// Delete user - only TEAM_MEMBER can be deleted, ADMIN is protected
+// Delete user - TEAM_MEMBER / LAB_ANALYST can be deleted, ADMIN is protected
 const deleteUser = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
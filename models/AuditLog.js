@@ -12,10 +12,36 @@ const auditLogSchema = new mongoose.Schema({
         'SAMPLE_FIELD_TESTED',
         'SAMPLE_LAB_TESTED',
         'SAMPLE_LAB_TESTED_AND_PUBLISHED',
+        'SAMPLE_AMENDED',
+        'SAMPLE_REJECTED',
+        'SAMPLE_REVIEWED',
         'SAMPLE_PUBLISHED',
+        'SAMPLE_RETRACTED',
         'SAMPLE_ARCHIVED',
         'SAMPLE_RESTORED',
         'SAMPLE_PDF_DOWNLOADED',
+        'SAMPLE_CUSTODY_DISPATCHED',
+        'SAMPLE_CUSTODY_RECEIVED',
+        'SAMPLE_UPDATED',
+        'SAMPLE_DELETED',
+        'SAMPLE_UNDELETED',
+        'SAMPLE_PURGED',
+        'SAMPLE_TRASH_VIEWED',
+        'SAMPLE_COMMENTED',
+        'SAMPLE_ATTACHMENT_ADDED',
+        'SAMPLE_ATTACHMENT_DELETED',
+        'SAMPLE_QC_CREATED',
+        'SAMPLE_QC_EVALUATED',
+        // Site actions
+        'SITE_CREATED',
+        'SITE_UPDATED',
+        'SITE_DELETED',
+        // Campaign actions
+        'CAMPAIGN_CREATED',
+        'CAMPAIGN_UPDATED',
+        // Standard actions
+        'STANDARD_CREATED',
+        'STANDARD_UPDATED',
         // User actions
         'USER_CREATED',
         'USER_UPDATED',
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+
+// Scheduled visit - one sample to collect at a site or location
+const visitSchema = new mongoose.Schema({
+  // Target: a registered site, or a free location (+ label)
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site',
+    default: null
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],  // [longitude, latitude]
+      default: undefined
+    }
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Visit label cannot exceed 200 characters'],
+    default: null
+  },
+  // Collector for this visit (null = any collector assigned to the campaign)
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Visit due date is required']
+  },
+  // Fulfilment - set when the collector creates the sample
+  sample: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sample',
+    default: null
+  },
+  fulfilledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  fulfilledAt: { type: Date, default: null }
+});
+
+// Sampling campaign - a planned round of visits within a date window
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: [200, 'Campaign name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Parameters every campaign sample should be tested for
+  requiredParameters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParameterMaster'
+  }],
+  // TEAM_MEMBER users working on this campaign
+  assignedTo: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  visits: {
+    type: [visitSchema],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+campaignSchema.index({ isActive: 1, startDate: -1 });
+campaignSchema.index({ assignedTo: 1, isActive: 1 });
+campaignSchema.index({ 'visits.sample': 1 });
+
+// End date must not be before start date, open visits must be due within the campaign
+campaignSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+
+  const windowChanged = this.isModified('startDate') || this.isModified('endDate') || this.isModified('visits');
+  if (windowChanged && this.startDate && this.endDate) {
+    const outside = this.getVisitsOutsideWindow();
+    if (outside.length > 0) {
+      this.invalidate('visits', `${outside.length} open visit(s) are due outside the campaign dates - change their due dates first`);
+    }
+  }
+  next();
+});
+
+/**
+ * Move open visits due on the previous end date (the default due date) to the current one
+ * Returns the number of visits moved
+ */
+campaignSchema.methods.moveDefaultDueDates = function(previousEndDate) {
+  if (this.endDate.getTime() === previousEndDate.getTime()) return 0;
+
+  const defaulted = this.visits.filter(v => !v.sample && v.dueDate.getTime() === previousEndDate.getTime());
+  defaulted.forEach(v => {
+    v.dueDate = this.endDate;
+  });
+  return defaulted.length;
+};
+
+/**
+ * Open visits due before startDate or after endDate
+ */
+campaignSchema.methods.getVisitsOutsideWindow = function() {
+  return this.visits.filter(v => !v.sample && (v.dueDate < this.startDate || v.dueDate > this.endDate));
+};
+
+/**
+ * Visit status: COMPLETED (sample linked), OVERDUE (past due date) or REMAINING
+ */
+campaignSchema.methods.getVisitStatus = function(visit, now = new Date()) {
+  if (visit.sample) return 'COMPLETED';
+  return visit.dueDate < now ? 'OVERDUE' : 'REMAINING';
+};
+
+/**
+ * Check whether a user may fulfil a visit
+ */
+campaignSchema.methods.isAssigned = function(visit, userId) {
+  const id = userId.toString();
+  if (visit.assignedTo) return visit.assignedTo.toString() === id;
+  return this.assignedTo.some(u => u.toString() === id);
+};
+
+/**
+ * Progress counts (completed / overdue / remaining), total and per collector
+ */
+campaignSchema.methods.getProgress = function(now = new Date()) {
+  const emptyCounts = () => ({ total: 0, COMPLETED: 0, OVERDUE: 0, REMAINING: 0 });
+  const totals = emptyCounts();
+  const byAssignee = {};
+
+  this.visits.forEach(visit => {
+    const status = this.getVisitStatus(visit, now);
+    totals.total += 1;
+    totals[status] += 1;
+
+    // Completed visits count for whoever fulfilled them
+    const userRef = visit.fulfilledBy || visit.assignedTo;
+    const key = userRef ? userRef.toString() : 'UNASSIGNED';
+    byAssignee[key] = byAssignee[key] || emptyCounts();
+    byAssignee[key].total += 1;
+    byAssignee[key][status] += 1;
+  });
+
+  const format = (counts) => ({
+    total: counts.total,
+    completed: counts.COMPLETED,
+    overdue: counts.OVERDUE,
+    remaining: counts.REMAINING
+  });
+
+  return {
+    ...format(totals),
+    percentComplete: totals.total > 0 ? Math.round((totals.COMPLETED / totals.total) * 100) : 0,
+    byAssignee: Object.keys(byAssignee).map(user => ({
+      user: user === 'UNASSIGNED' ? null : user,
+      ...format(byAssignee[user])
+    }))
+  };
+};
+
+module.exports = mongoose.model('Campaign', campaignSchema);
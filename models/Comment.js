@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Discussion comment on a sample - separate collection so it never
+// travels with sample documents (public API, PDF reports)
+const commentSchema = new mongoose.Schema({
+  sample: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sample',
+    required: [true, 'Sample reference is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Comment author is required']
+  },
+  text: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Optional user the comment is addressed to
+  mention: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Internal comments are for lab / admin staff only (hidden from TEAM_MEMBER)
+  internal: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+commentSchema.index({ sample: 1, createdAt: 1 });
+commentSchema.index({ mention: 1, createdAt: -1 });
+
+/**
+ * Get comments of a sample, oldest first
+ */
+commentSchema.statics.findForSample = function(sampleRef, { includeInternal = false } = {}) {
+  const query = { sample: sampleRef };
+  if (!includeInternal) {
+    query.internal = false;
+  }
+  return this.find(query)
+    .populate('author', 'name role')
+    .populate('mention', 'name role')
+    .sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Atomic sequence counters (e.g. sample IDs per prefix + period)
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Counter key is required'],
+    trim: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+counterSchema.index({ key: 1 }, { unique: true });
+
+/**
+ * Get next value of a counter atomically
+ * getInitialValue() seeds a new counter (e.g. from existing data) - called once per key
+ */
+counterSchema.statics.nextSequence = async function(key, getInitialValue) {
+  if (getInitialValue && !(await this.exists({ key }))) {
+    const initial = await getInitialValue();
+    try {
+      // $max keeps this safe if another request seeded the counter meanwhile
+      await this.updateOne({ key }, { $max: { seq: initial } }, { upsert: true });
+    } catch (error) {
+      // Concurrent upsert of the same key - counter exists now
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
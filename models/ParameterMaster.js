@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { parameterTypes, parameterStatuses, standardVersion, testLocations } = require('../config');
+const { parameterTypes, parameterStatuses, standardVersion, testLocations, holdingTimeActions } = require('../config');
 
 // Limit schema for nested min/max values
 const limitSchema = new mongoose.Schema({
@@ -13,6 +13,28 @@ const limitSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Accepted alternative unit: canonical = value * factor + offset
+// Example: °F → °C is factor 5/9, offset -160/9; ppm → mg/L is factor 1
+const unitConversionSchema = new mongoose.Schema({
+  unit: {
+    type: String,
+    required: [true, 'Conversion unit is required'],
+    trim: true
+  },
+  factor: {
+    type: Number,
+    required: [true, 'Conversion factor is required'],
+    validate: {
+      validator: (value) => value !== 0,
+      message: 'Conversion factor cannot be 0'
+    }
+  },
+  offset: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
 const parameterMasterSchema = new mongoose.Schema({
   code: {
     type: String,
@@ -25,11 +47,17 @@ const parameterMasterSchema = new mongoose.Schema({
     required: [true, 'Parameter name is required'],
     trim: true
   },
+  // Canonical unit - limits are defined and results stored in this unit
   unit: {
     type: String,
     required: [true, 'Unit is required'],
     trim: true
   },
+  // Other units values may be submitted in (converted on submission)
+  unitConversions: {
+    type: [unitConversionSchema],
+    default: []
+  },
   type: {
     type: String,
     enum: {
@@ -65,6 +93,18 @@ const parameterMasterSchema = new mongoose.Schema({
     type: limitSchema,
     default: { min: null, max: null }
   },
+  // Lowest concentration the method detects - lower results are stored as "<detectionLimit"
+  detectionLimit: {
+    type: Number,
+    min: [0, 'Detection limit cannot be negative'],
+    default: null
+  },
+  // Lowest concentration quantified reliably - results below it are estimates
+  quantitationLimit: {
+    type: Number,
+    min: [0, 'Quantitation limit cannot be negative'],
+    default: null
+  },
   // Whether this parameter affects overall status calculation
   // TEXT type parameters should have this as false
   affectsOverall: {
@@ -89,13 +129,31 @@ const parameterMasterSchema = new mongoose.Schema({
     },
     default: new Map()
   },
+  // Maximum time between collection and analysis (hours), null = no limit
+  // Example: Free chlorine degrades within hours of collection
+  maxHoldingTimeHours: {
+    type: Number,
+    min: [0, 'Max holding time cannot be negative'],
+    default: null
+  },
+  // FLAG: accept result but mark it, BLOCK: reject the result
+  holdingTimeAction: {
+    type: String,
+    enum: {
+      values: holdingTimeActions,
+      message: 'holdingTimeAction must be FLAG or BLOCK'
+    },
+    default: 'FLAG',
+    uppercase: true
+  },
   // Test method reference string
   testMethod: {
     type: String,
     trim: true,
     default: ''
   },
-  // Standard version (e.g., "IS10500-2012")
+  // Standard the limits above come from (e.g., "IS10500-2012")
+  // Other standards keep their own limit sets (see models/Standard.js)
   standardVersion: {
     type: String,
     default: standardVersion,
@@ -113,6 +171,142 @@ const parameterMasterSchema = new mongoose.Schema({
 parameterMasterSchema.index({ code: 1 }, { unique: true });
 parameterMasterSchema.index({ isActive: 1 });
 
+// Units compare case-insensitively, ignoring spaces ("mg / L" = "mg/l")
+const normalizeUnit = (unit) => String(unit).replace(/\s+/g, '').toLowerCase();
+
+// Censored value: "<0.01", "> 2000"
+const CENSORED_PATTERN = /^([<>])\s*(.+)$/;
+
+// Status severity, worst last
+const STATUS_SEVERITY = ['ACCEPTABLE', 'PERMISSIBLE', 'NOT_ACCEPTABLE'];
+const worstStatus = (a, b) => (STATUS_SEVERITY.indexOf(a) >= STATUS_SEVERITY.indexOf(b) ? a : b);
+
+// Conversion units must differ from the canonical unit and from each other
+// Quantitation limit cannot be below the detection limit
+parameterMasterSchema.pre('validate', function(next) {
+  if (this.detectionLimit !== null && this.quantitationLimit !== null &&
+      this.detectionLimit !== undefined && this.quantitationLimit !== undefined &&
+      this.quantitationLimit < this.detectionLimit) {
+    this.invalidate('quantitationLimit', 'Quantitation limit cannot be below the detection limit');
+  }
+
+  const seen = [normalizeUnit(this.unit)];
+  for (const conversion of this.unitConversions || []) {
+    const unit = normalizeUnit(conversion.unit);
+    if (seen.includes(unit)) {
+      this.invalidate('unitConversions', `Unit "${conversion.unit}" is listed more than once (or is the canonical unit)`);
+      break;
+    }
+    seen.push(unit);
+  }
+  next();
+});
+
+/**
+ * Units a value may be submitted in - canonical unit first
+ */
+parameterMasterSchema.methods.getAcceptedUnits = function() {
+  return [this.unit, ...(this.unitConversions || []).map(c => c.unit)];
+};
+
+/**
+ * Convert a submitted value to the canonical unit
+ * Must be called BEFORE validatePhysicalLimits() and calculateStatus()
+ *
+ * - No unit, or the canonical unit: value is kept as submitted
+ * - Registered unit: numeric value converted (rounded to 6 decimals)
+ *
+ * Returns { value, rawValue, rawUnit, error }
+ */
+parameterMasterSchema.methods.convertToCanonical = function(value, unit) {
+  const result = { value, rawValue: value, rawUnit: this.unit, error: null };
+  if (unit === null || unit === undefined || unit === '' || normalizeUnit(unit) === normalizeUnit(this.unit)) {
+    return result;
+  }
+
+  const conversion = (this.unitConversions || []).find(c => normalizeUnit(c.unit) === normalizeUnit(unit));
+  if (!conversion) {
+    return { ...result, error: `${this.name}: Unit "${unit}" not supported. Must be one of: ${this.getAcceptedUnits().join(', ')}` };
+  }
+
+  const numValue = parseFloat(value);
+  if (isNaN(numValue)) {
+    return { ...result, error: `${this.name} must be a valid number to convert from ${conversion.unit}` };
+  }
+
+  const converted = numValue * conversion.factor + (conversion.offset || 0);
+  return {
+    value: Math.round(converted * 1e6) / 1e6,
+    rawValue: value,
+    rawUnit: conversion.unit,
+    error: null
+  };
+};
+
+/**
+ * Parse a submitted value into a canonical result
+ * Must be called BEFORE validatePhysicalLimits() and calculateStatus()
+ *
+ * RANGE / MAX values may be censored:
+ * - "<0.01" / ">2000": qualifier + bound, converted like any value
+ * - "ND": not detected, stored at the detection limit
+ * - detected values below detectionLimit are stored as "<detectionLimit"
+ * - detected values below quantitationLimit are flagged belowQuantitation (estimate)
+ * Other types only get unit conversion.
+ *
+ * Returns { value, qualifier, belowQuantitation, rawValue, rawUnit, error }
+ */
+parameterMasterSchema.methods.parseSubmittedValue = function(value, unit) {
+  if (this.type !== 'RANGE' && this.type !== 'MAX') {
+    return { ...this.convertToCanonical(value, unit), qualifier: null, belowQuantitation: false };
+  }
+
+  const lod = this.detectionLimit ?? null;
+  const loq = this.quantitationLimit ?? null;
+  const text = value === null || value === undefined ? '' : String(value).trim();
+
+  // Not detected - the detection limit is already in the canonical unit
+  if (text.toUpperCase() === 'ND') {
+    const result = { value, qualifier: null, belowQuantitation: false, rawValue: value, rawUnit: unit || this.unit, error: null };
+    if (lod === null) {
+      return { ...result, error: `${this.name}: "ND" requires a detection limit on the parameter` };
+    }
+    return { ...result, value: lod, qualifier: 'ND' };
+  }
+
+  const match = text.match(CENSORED_PATTERN);
+  const conversion = this.convertToCanonical(match ? match[2].trim() : value, unit);
+  const result = { ...conversion, rawValue: value, qualifier: match ? match[1] : null, belowQuantitation: false };
+  const numValue = parseFloat(conversion.value);
+  if (conversion.error || isNaN(numValue)) {
+    // Non-numeric values are rejected by validatePhysicalLimits()
+    return result;
+  }
+
+  if (result.qualifier === '>') {
+    return { ...result, value: numValue };
+  }
+  // "<bound" below the detection limit cannot be claimed - report "<detectionLimit"
+  if (result.qualifier === '<') {
+    return { ...result, value: lod !== null && numValue < lod ? lod : numValue };
+  }
+  if (lod !== null && numValue < lod) {
+    return { ...result, value: lod, qualifier: '<' };
+  }
+  return { ...result, belowQuantitation: loq !== null && numValue < loq };
+};
+
+/**
+ * Possible values of a censored result
+ * '<' / ND → [physical min, bound], '>' → [bound, physical max]
+ */
+parameterMasterSchema.methods.getCensoredInterval = function(bound, qualifier) {
+  const physical = this.physicalLimit || {};
+  return qualifier === '>'
+    ? [bound, physical.max ?? Infinity]
+    : [physical.min ?? -Infinity, bound];
+};
+
 /**
  * Validate value against physical limits
  * Must be called BEFORE calculateStatus()
@@ -199,14 +393,69 @@ parameterMasterSchema.methods.getEnumKeys = function() {
   return Array.from(this.enumEvaluation.keys());
 };
 
+/**
+ * Get the limit set to evaluate against
+ * - standard with a limit set for this parameter: the standard's limits
+ * - no standard, or standard without this parameter: this parameter's own limits
+ *   (defined by the baseline standard, see standardVersion)
+ *
+ * standard: limit set in effect at sample collection (StandardVersion.toStandard)
+ *
+ * Returns { acceptableLimit, permissibleLimit, maxValue, enumEvaluation, source }
+ * source: code of the standard the limits come from
+ */
+parameterMasterSchema.methods.getLimits = function(standard = null) {
+  const entry = standard ? standard.getLimitEntry(this._id) : null;
+  if (!entry) {
+    return {
+      acceptableLimit: this.acceptableLimit,
+      permissibleLimit: this.permissibleLimit,
+      maxValue: this.maxValue,
+      enumEvaluation: this.enumEvaluation,
+      source: this.standardVersion || standardVersion
+    };
+  }
+
+  return {
+    acceptableLimit: entry.acceptableLimit,
+    permissibleLimit: entry.permissibleLimit,
+    maxValue: null,
+    // Values the standard does not rate keep this parameter's status
+    enumEvaluation: new Map([...(this.enumEvaluation || []), ...(entry.enumEvaluation || [])]),
+    source: standard.code
+  };
+};
+
+/**
+ * Limit fields stored on Sample parameter snapshots
+ */
+parameterMasterSchema.methods.getLimitSnapshot = function(limits = this.getLimits()) {
+  return {
+    acceptableLimit: {
+      min: limits.acceptableLimit?.min ?? null,
+      max: limits.acceptableLimit?.max ?? null
+    },
+    permissibleLimit: {
+      min: limits.permissibleLimit?.min ?? null,
+      max: limits.permissibleLimit?.max ?? null
+    },
+    detectionLimit: this.detectionLimit ?? null,
+    quantitationLimit: this.quantitationLimit ?? null,
+    limitSource: limits.source ?? null
+  };
+};
+
 /**
  * Calculate status based on value and parameter rules
  * Returns: ACCEPTABLE | PERMISSIBLE | NOT_ACCEPTABLE
  *
+ * limits: limit set from getLimits(standard) - defaults to this parameter's own limits
+ * qualifier: '<' / '>' / 'ND' for censored values (see parseSubmittedValue)
+ *
  * IMPORTANT: Always call validatePhysicalLimits() BEFORE this method.
  * This method throws errors for invalid data as a defensive measure.
  */
-parameterMasterSchema.methods.calculateStatus = function(value) {
+parameterMasterSchema.methods.calculateStatus = function(value, limits = this.getLimits(), qualifier = null) {
   // CRITICAL: Null/undefined values must be rejected with validation error
   // This should never be reached if validatePhysicalLimits() was called first
   if (value === null || value === undefined || value === '') {
@@ -215,11 +464,11 @@ parameterMasterSchema.methods.calculateStatus = function(value) {
 
   switch (this.type) {
     case 'RANGE':
-      return this.calculateRangeStatus(parseFloat(value));
+      return this.calculateRangeStatus(parseFloat(value), limits, qualifier);
     case 'MAX':
-      return this.calculateMaxStatus(parseFloat(value));
+      return this.calculateMaxStatus(parseFloat(value), limits, qualifier);
     case 'ENUM':
-      return this.calculateEnumStatus(value);
+      return this.calculateEnumStatus(value, limits);
     case 'TEXT':
       return 'ACCEPTABLE'; // Text type always returns ACCEPTABLE (informational only)
     default:
@@ -232,10 +481,18 @@ parameterMasterSchema.methods.calculateStatus = function(value) {
  * ACCEPTABLE: within acceptableLimit range
  * PERMISSIBLE: within permissibleLimit range (but outside acceptable)
  * NOT_ACCEPTABLE: outside both ranges
+ *
+ * Censored values get the worst status over their possible values
+ * (checked at both ends of the interval - the status is worst at an end)
  */
-parameterMasterSchema.methods.calculateRangeStatus = function(value) {
-  const acceptable = this.acceptableLimit;
-  const permissible = this.permissibleLimit;
+parameterMasterSchema.methods.calculateRangeStatus = function(value, limits = this.getLimits(), qualifier = null) {
+  if (qualifier) {
+    const [low, high] = this.getCensoredInterval(value, qualifier);
+    return worstStatus(this.calculateRangeStatus(low, limits), this.calculateRangeStatus(high, limits));
+  }
+
+  const acceptable = limits.acceptableLimit;
+  const permissible = limits.permissibleLimit;
 
   // Check acceptable range first
   if (acceptable && acceptable.min !== null && acceptable.max !== null) {
@@ -259,13 +516,20 @@ parameterMasterSchema.methods.calculateRangeStatus = function(value) {
  * ACCEPTABLE: value <= acceptableLimit.max
  * PERMISSIBLE: value <= permissibleLimit.max (but > acceptable)
  * NOT_ACCEPTABLE: value > permissibleLimit.max
+ *
+ * Censored values are evaluated at their highest possible value
+ * ('<' / ND: the bound, '>': the physical maximum, unbounded without one)
  */
-parameterMasterSchema.methods.calculateMaxStatus = function(value) {
-  const acceptable = this.acceptableLimit;
-  const permissible = this.permissibleLimit;
+parameterMasterSchema.methods.calculateMaxStatus = function(value, limits = this.getLimits(), qualifier = null) {
+  if (qualifier) {
+    value = this.getCensoredInterval(value, qualifier)[1];
+  }
+
+  const acceptable = limits.acceptableLimit;
+  const permissible = limits.permissibleLimit;
 
   // Use maxValue if acceptableLimit not set (backward compatibility)
-  const acceptableMax = (acceptable && acceptable.max !== null) ? acceptable.max : this.maxValue;
+  const acceptableMax = (acceptable && acceptable.max !== null) ? acceptable.max : (limits.maxValue ?? null);
   const permissibleMax = (permissible && permissible.max !== null) ? permissible.max : null;
 
   if (acceptableMax === null) return 'ACCEPTABLE';
@@ -286,16 +550,21 @@ parameterMasterSchema.methods.calculateMaxStatus = function(value) {
  * IMPORTANT: validatePhysicalLimits() must be called first to validate the enum value exists.
  * This method throws errors for invalid values as a defensive measure.
  */
-parameterMasterSchema.methods.calculateEnumStatus = function(value) {
+parameterMasterSchema.methods.calculateEnumStatus = function(value, limits = this.getLimits()) {
+  // Limit sets may carry a plain object instead of a Map
+  const enumEvaluation = limits.enumEvaluation instanceof Map
+    ? limits.enumEvaluation
+    : new Map(Object.entries(limits.enumEvaluation || {}));
+
   // CRITICAL: No enumEvaluation configured - this is a configuration error
-  if (!this.enumEvaluation || this.enumEvaluation.size === 0) {
+  if (enumEvaluation.size === 0) {
     throw new Error(`${this.name}: No enumEvaluation configured for ENUM parameter`);
   }
 
   const normalizedValue = value.toString().trim();
 
   // Find matching key (case-insensitive)
-  for (const [key, status] of this.enumEvaluation) {
+  for (const [key, status] of enumEvaluation) {
     if (key.toLowerCase() === normalizedValue.toLowerCase()) {
       return status;
     }
@@ -303,10 +572,23 @@ parameterMasterSchema.methods.calculateEnumStatus = function(value) {
 
   // CRITICAL: Value not found in enumEvaluation - this is invalid input
   // This should never be reached if validatePhysicalLimits() was called first
-  const validValues = Array.from(this.enumEvaluation.keys()).join(', ');
+  const validValues = Array.from(enumEvaluation.keys()).join(', ');
   throw new Error(`${this.name}: Invalid value "${value}". Must be one of: ${validValues}`);
 };
 
+/**
+ * Check holding time between collection and analysis
+ * Returns { elapsedHours, exceeded } - exceeded is always false without a limit
+ */
+parameterMasterSchema.methods.checkHoldingTime = function(collectedAt, analyzedAt = new Date()) {
+  const elapsedHours = Math.round(((analyzedAt - new Date(collectedAt)) / (60 * 60 * 1000)) * 100) / 100;
+  const limit = this.maxHoldingTimeHours;
+  return {
+    elapsedHours,
+    exceeded: limit !== null && limit !== undefined && elapsedHours > limit
+  };
+};
+
 /**
  * Get limit display string for UI
  */
@@ -337,8 +619,10 @@ parameterMasterSchema.methods.getLimitDisplayString = function() {
 
 /**
  * Create snapshot data for embedding in Sample
+ * standard: limits come from this standard when it covers the parameter
  */
-parameterMasterSchema.methods.createSnapshot = function() {
+parameterMasterSchema.methods.createSnapshot = function(standard = null) {
+  const limits = this.getLimits(standard);
   return {
     parameterRef: this._id,
     code: this.code,
@@ -346,13 +630,13 @@ parameterMasterSchema.methods.createSnapshot = function() {
     unit: this.unit,
     type: this.type,
     testLocation: this.testLocation, // FIELD or LAB
-    acceptableLimit: this.acceptableLimit,
-    permissibleLimit: this.permissibleLimit,
+    ...this.getLimitSnapshot(limits),
     physicalLimit: this.physicalLimit,
-    maxValue: this.maxValue,
-    enumEvaluation: this.enumEvaluation ? Object.fromEntries(this.enumEvaluation) : {},
+    maxValue: limits.maxValue,
+    enumEvaluation: limits.enumEvaluation ? Object.fromEntries(limits.enumEvaluation) : {},
     testMethod: this.testMethod,
-    affectsOverall: this.affectsOverall !== false // default true
+    affectsOverall: this.affectsOverall !== false, // default true
+    maxHoldingTimeHours: this.maxHoldingTimeHours ?? null
   };
 };
 
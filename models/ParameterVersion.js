@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+// Parameter fields kept on every version (what a lab result is evaluated against)
+const VERSIONED_FIELDS = [
+  'code',
+  'name',
+  'unit',
+  'unitConversions',
+  'type',
+  'testLocation',
+  'acceptableLimit',
+  'permissibleLimit',
+  'physicalLimit',
+  'detectionLimit',
+  'quantitationLimit',
+  'maxValue',
+  'enumEvaluation',
+  'affectsOverall',
+  'maxHoldingTimeHours',
+  'holdingTimeAction',
+  'testMethod',
+  'standardVersion',
+  'isActive'
+];
+
+// Immutable, effective-dated version of a ParameterMaster definition
+const parameterVersionSchema = new mongoose.Schema({
+  parameter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParameterMaster',
+    required: [true, 'Parameter is required']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Samples collected from this date on are evaluated with this version
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective-from date is required']
+  },
+  // null for the baseline recorded from a pre-existing definition
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Full definition as of this version (VERSIONED_FIELDS)
+  definition: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+parameterVersionSchema.index({ parameter: 1, version: 1 }, { unique: true });
+parameterVersionSchema.index({ parameter: 1, effectiveFrom: -1 });
+
+// Versions are never edited or removed
+parameterVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Parameter versions are immutable'));
+  }
+  next();
+});
+
+parameterVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Parameter versions are immutable'));
+  }
+);
+
+/**
+ * Record the current definition of a parameter as its next version
+ * Returns the created version
+ */
+parameterVersionSchema.statics.record = async function(parameter, { effectiveFrom, author = null, reason }) {
+  const latest = await this.findOne({ parameter: parameter._id }).sort({ version: -1 }).select('version');
+  const obj = parameter.toJSON();
+
+  const definition = {};
+  VERSIONED_FIELDS.forEach(field => {
+    definition[field] = obj[field] ?? null;
+  });
+
+  return this.create({
+    parameter: parameter._id,
+    version: latest ? latest.version + 1 : 1,
+    effectiveFrom,
+    author,
+    reason,
+    definition
+  });
+};
+
+/**
+ * Versions in effect at a date, keyed by parameter ID
+ * - latest version with effectiveFrom <= at
+ * - the earliest version when the date predates all versions
+ * Unversioned parameters are missing from the map
+ */
+parameterVersionSchema.statics.findEffective = async function(parameterIds, at) {
+  const versions = await this.find({ parameter: { $in: parameterIds } }).sort({ version: 1 });
+  const effective = new Map();
+
+  versions.forEach(v => {
+    const key = v.parameter.toString();
+    if (!effective.has(key) || v.effectiveFrom <= at) {
+      effective.set(key, v);
+    }
+  });
+
+  return effective;
+};
+
+/**
+ * ParameterMaster document for this version (not saved)
+ * Provides validatePhysicalLimits / calculateStatus / createSnapshot as of this version
+ *
+ * current: current definition - its unit conversions apply (a unit added later
+ * converts values of older samples too) unless the canonical unit changed
+ */
+parameterVersionSchema.methods.toParameter = function(current = null) {
+  const ParameterMaster = mongoose.model('ParameterMaster');
+  const parameter = ParameterMaster.hydrate({ ...this.definition, _id: this.parameter });
+  if (current && current.unit === parameter.unit) {
+    parameter.unitConversions = current.unitConversions;
+  }
+  parameter.$locals.version = this.version;
+  return parameter;
+};
+
+module.exports = mongoose.model('ParameterVersion', parameterVersionSchema);
@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
-const { parameterStatuses, standardVersion } = require('../config');
+const Counter = require('./Counter');
+const { checkMetadataEdit } = require('../services/lifecycleService');
+const {
+  parameterStatuses,
+  censoredQualifiers,
+  standardVersion,
+  lifecycleStatuses,
+  rejectionResolutions,
+  custodyEvents,
+  sealConditions,
+  sampleIdPrefixes,
+  sampleIdPeriod,
+  sampleTypes,
+  qcTypes,
+  attachmentTypes,
+  attachmentVisibilities
+} = require('../config');
 
 // Limit schema for snapshot
 const limitSchema = new mongoose.Schema({
@@ -42,20 +58,47 @@ const parameterSnapshotSchema = new mongoose.Schema({
   acceptableLimit: { type: limitSchema, default: { min: null, max: null } },
   permissibleLimit: { type: limitSchema, default: { min: null, max: null } },
   physicalLimit: { type: limitSchema, default: { min: null, max: null } },
+  detectionLimit: { type: Number, default: null },
+  quantitationLimit: { type: Number, default: null },
   maxValue: { type: Number, default: null },
   enumEvaluation: {
     type: Map,
     of: String,
     default: new Map()
   },
+  // Standard the limits above come from - differs from sample.standardVersion
+  // when the sample's standard does not cover this parameter
+  limitSource: { type: String, default: null },
   testMethod: { type: String, default: '' },
   affectsOverall: { type: Boolean, default: true },
+  // ParameterVersion in effect at collection (null = unversioned definition)
+  // Its limits were applied unless limitSource is a standard with its own limit set
+  parameterVersion: { type: Number, default: null },
 
-  // MEASURED VALUE
+  // HOLDING TIME (LAB only) - collection → analysis
+  maxHoldingTimeHours: { type: Number, default: null },
+  elapsedHoldingHours: { type: Number, default: null },
+  holdingTimeExceeded: { type: Boolean, default: false },
+
+  // MEASURED VALUE - in the canonical unit (see ParameterMaster.unit)
   value: {
     type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  // Value and unit as submitted, before conversion
+  rawValue: { type: mongoose.Schema.Types.Mixed, default: null },
+  rawUnit: { type: String, default: null },
+  // Censored value: '<' / '>' the stored value, ND = not detected (value = detection limit)
+  qualifier: {
+    type: String,
+    enum: {
+      values: [...censoredQualifiers, null],
+      message: 'Qualifier must be one of: <, >, ND'
+    },
+    default: null
+  },
+  // Detected below the quantitation limit - value is an estimate
+  belowQuantitation: { type: Boolean, default: false },
 
   // COMPUTED RESULT (null until LAB test)
   status: {
@@ -87,6 +130,43 @@ const imagesSchema = new mongoose.Schema({
   locationImageUrl: { type: String, default: null }
 }, { _id: false });
 
+// Attachment - extra photo, instrument printout, lab certificate or field sheet
+const attachmentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: attachmentTypes,
+      message: `Attachment type must be one of: ${attachmentTypes.join(', ')}`
+    },
+    required: [true, 'Attachment type is required']
+  },
+  url: { type: String, required: true },
+  fileName: { type: String, default: null },
+  mimeType: { type: String, default: null },
+  size: { type: Number, default: null },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Caption cannot exceed 300 characters'],
+    default: ''
+  },
+  // INTERNAL: staff only, PUBLIC: shown with published results
+  visibility: {
+    type: String,
+    enum: {
+      values: attachmentVisibilities,
+      message: `Visibility must be one of: ${attachmentVisibilities.join(', ')}`
+    },
+    default: 'INTERNAL'
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
 // testInfo schema - contains all test status info in one object
 const testInfoSchema = new mongoose.Schema({
   // FIELD TEST
@@ -101,12 +181,257 @@ const testInfoSchema = new mongoose.Schema({
     default: null
   },
   labTestedAt: { type: Date, default: null },
+  // End of the holding time (see getAnalysisTime) - results may be keyed in later
+  analysedAt: { type: Date, default: null },
 
   // PUBLISHED
   published: { type: Boolean, default: false },
   publishedAt: { type: Date, default: null }
 }, { _id: false });
 
+// Amendment info - who corrected a lab result and why
+const amendmentSchema = new mongoose.Schema({
+  justification: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Justification cannot exceed 1000 characters'],
+    required: [true, 'Amendment justification is required']
+  },
+  amendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amendedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Review info - second person approving lab results before publication
+const reviewSchema = new mongoose.Schema({
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedAt: { type: Date, default: Date.now },
+  comments: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review comments cannot exceed 1000 characters'],
+    default: ''
+  }
+}, { _id: false });
+
+// Superseded lab result revision - kept forever for traceability
+const revisionSchema = new mongoose.Schema({
+  revision: { type: Number, required: true },
+  parameters: { type: [parameterSnapshotSchema], default: [] },
+  overallStatus: {
+    type: String,
+    enum: [...parameterStatuses, null],
+    default: null
+  },
+  // Who recorded this revision and why (null justification for the original)
+  justification: { type: String, default: null },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  recordedAt: { type: Date, default: null },
+  // Review that covered this revision (null if it was never reviewed)
+  review: { type: reviewSchema, default: null },
+  supersededAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Retraction info - public notice shown instead of withdrawn results
+const retractionSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Retraction reason cannot exceed 1000 characters'],
+    required: [true, 'Retraction reason is required']
+  },
+  retractedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  retractedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Custody event - who holds the bottle from this point on
+const custodyEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: {
+      values: custodyEvents,
+      message: `Custody event must be one of: ${custodyEvents.join(', ')}`
+    },
+    required: true
+  },
+  // Person taking custody (courier name, lab staff, collector)
+  person: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Person name cannot exceed 100 characters'],
+    required: [true, 'Custody person is required']
+  },
+  personRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  timestamp: { type: Date, default: Date.now },
+  // Storage temperature in °C at handover
+  storageTemperature: { type: Number, default: null },
+  sealCondition: {
+    type: String,
+    enum: {
+      values: [...sealConditions, null],
+      message: `Seal condition must be one of: ${sealConditions.join(', ')}`
+    },
+    default: null
+  },
+  notes: { type: String, trim: true, maxlength: 500, default: '' },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { _id: false });
+
+// Deletion info - why and by whom a sample was moved to trash
+const deletionSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Deletion reason cannot exceed 500 characters'],
+    required: [true, 'Deletion reason is required']
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deletedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Rejection info - set when an admin returns a FIELD_TESTED sample to the field
+const rejectionSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters'],
+    required: [true, 'Rejection reason is required']
+  },
+  resolution: {
+    type: String,
+    enum: {
+      values: rejectionResolutions,
+      message: `Resolution must be one of: ${rejectionResolutions.join(', ')}`
+    },
+    required: [true, 'Rejection resolution is required']
+  },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rejectedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Spike added to a QC sample - known amount of one parameter
+const qcSpikeSchema = new mongoose.Schema({
+  parameterRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParameterMaster',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Spike amount is required'],
+    min: [0, 'Spike amount cannot be negative']
+  }
+}, { _id: false });
+
+// One QC rule result (RPD, recovery or blank level) for one parameter
+const qcResultSchema = new mongoose.Schema({
+  code: { type: String },
+  name: { type: String },
+  rule: { type: String, enum: ['RPD', 'RECOVERY', 'BLANK'] },
+  value: { type: Number, default: null },
+  // Censored blank result ('<' / '>' / ND) - value is the bound
+  qualifier: { type: String, default: null },
+  limit: { type: limitSchema, default: { min: null, max: null } },
+  passed: { type: Boolean, default: true }
+}, { _id: false });
+
+// QC info - only set when sampleType is QC
+const qcSchema = new mongoose.Schema({
+  qcType: {
+    type: String,
+    enum: {
+      values: qcTypes,
+      message: `QC type must be one of: ${qcTypes.join(', ')}`
+    },
+    required: [true, 'QC type is required']
+  },
+  // Controlled sample (duplicates/spikes) - batch QC uses sample.batchId instead
+  parentSample: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sample',
+    default: null
+  },
+  spikes: { type: [qcSpikeSchema], default: [] },
+  // Evaluation after LAB results - PENDING until the parent has results too,
+  // INCONCLUSIVE when no result could be compared
+  evaluation: {
+    status: {
+      type: String,
+      enum: ['PENDING', 'PASSED', 'FAILED', 'INCONCLUSIVE'],
+      default: 'PENDING'
+    },
+    evaluatedAt: { type: Date, default: null },
+    results: { type: [qcResultSchema], default: [] }
+  }
+}, { _id: false });
+
+// Flag on a real sample controlled by a failed (or inconclusive) QC sample
+const qcFlagSchema = new mongoose.Schema({
+  qcSample: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sample',
+    required: true
+  },
+  qcSampleId: { type: String },
+  qcType: { type: String, enum: qcTypes },
+  qcStatus: { type: String, enum: ['FAILED', 'INCONCLUSIVE'], default: 'FAILED' },
+  failedParameters: { type: [String], default: [] },
+  flaggedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Status history entry - one per lifecycle transition
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...lifecycleStatuses, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: lifecycleStatuses,
+    required: true
+  },
+  action: { type: String, required: true },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  timestamp: { type: Date, default: Date.now },
+  reason: { type: String, trim: true, default: null }
+}, { _id: false });
+
 const sampleSchema = new mongoose.Schema({
   sampleId: {
     type: String
@@ -132,6 +457,66 @@ const sampleSchema = new mongoose.Schema({
     default: null
   },
 
+  // ROUTINE (real) sample or lab QC sample - QC is never public
+  sampleType: {
+    type: String,
+    enum: {
+      values: sampleTypes,
+      message: `Sample type must be one of: ${sampleTypes.join(', ')}`
+    },
+    default: 'ROUTINE'
+  },
+
+  // Lab analysis batch - QC samples with a batchId control the whole batch
+  batchId: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Batch ID cannot exceed 50 characters'],
+    default: null
+  },
+
+  // QC details (null for ROUTINE samples)
+  qc: {
+    type: qcSchema,
+    default: null
+  },
+
+  // Failed QC samples that control this sample
+  qcFlags: {
+    type: [qcFlagSchema],
+    default: []
+  },
+
+  // Registered sampling site (null for free-floating points)
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site',
+    default: null
+  },
+
+  // Campaign visit this sample fulfils (null for unplanned samples)
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  campaignVisit: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Resample links - original sample this one re-collects, and its follow-ups
+  resampleOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sample',
+    default: null
+  },
+  followUps: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sample'
+  }],
+
   // Collection info (who created the sample - also did FIELD test)
   collectedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -143,12 +528,24 @@ const sampleSchema = new mongoose.Schema({
     required: [true, 'Collection date is required']
   },
 
+  // Chain of custody from field to lab
+  custodyLog: {
+    type: [custodyEventSchema],
+    default: []
+  },
+
   // Images (both required)
   images: {
     type: imagesSchema,
     default: { sampleImageUrl: null, locationImageUrl: null }
   },
 
+  // Additional files (photos, printouts, certificates, field sheets)
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
+
   // Test info - all test status in one object
   testInfo: {
     type: testInfoSchema,
@@ -158,12 +555,55 @@ const sampleSchema = new mongoose.Schema({
       labTested: false,
       labTestedBy: null,
       labTestedAt: null,
+      analysedAt: null,
       published: false,
       publishedAt: null
     }
   },
 
-  // Standard version at time of testing
+  // Lifecycle state - changed ONLY through services/lifecycleService
+  lifecycleStatus: {
+    type: String,
+    enum: {
+      values: lifecycleStatuses,
+      message: `Lifecycle status must be one of: ${lifecycleStatuses.join(', ')}`
+    },
+    default: 'COLLECTED'
+  },
+
+  // Every lifecycle transition (from, to, actor, timestamp, reason)
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
+
+  // Latest rejection (null unless the sample was rejected)
+  rejection: {
+    type: rejectionSchema,
+    default: null
+  },
+
+  // Four-eyes review of the current lab results (null until reviewed)
+  review: {
+    type: reviewSchema,
+    default: null
+  },
+
+  // Retraction notice (null unless published results were withdrawn)
+  retraction: {
+    type: retractionSchema,
+    default: null
+  },
+
+  // Standard the limits are evaluated against (selected at creation or LAB test)
+  // null = limits stored on ParameterMaster (config.standardVersion)
+  standard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Standard',
+    default: null
+  },
+
+  // Code of that standard at time of testing
   standardVersion: {
     type: String,
     default: standardVersion
@@ -188,10 +628,39 @@ const sampleSchema = new mongoose.Schema({
     default: null
   },
 
+  // Lab result revision - 0 is the original LAB test, incremented per amendment
+  revision: {
+    type: Number,
+    default: 0
+  },
+
+  // Amendment that produced the current revision (null for revision 0)
+  amendment: {
+    type: amendmentSchema,
+    default: null
+  },
+
+  // Every superseded revision of parameters + overallStatus
+  revisions: {
+    type: [revisionSchema],
+    default: []
+  },
+
+  // Revision last released to the public (null = never published)
+  // Stays public while an amendment of it awaits review (LAB_TESTED)
+  publishedRevision: {
+    type: Number,
+    default: null
+  },
+
   // Soft delete
   isDeleted: {
     type: Boolean,
     default: false
+  },
+  deletion: {
+    type: deletionSchema,
+    default: null
   }
 }, {
   timestamps: true
@@ -203,35 +672,150 @@ sampleSchema.index({ location: '2dsphere' });
 sampleSchema.index({ 'testInfo.fieldTested': 1, createdAt: -1 });
 sampleSchema.index({ 'testInfo.labTested': 1 });
 sampleSchema.index({ 'testInfo.published': 1 });
+sampleSchema.index({ lifecycleStatus: 1, createdAt: -1 });
 sampleSchema.index({ overallStatus: 1 });
 sampleSchema.index({ 'parameters.code': 1 });
 sampleSchema.index({ 'parameters.testLocation': 1 });
 sampleSchema.index({ isDeleted: 1 });
 sampleSchema.index({ 'testInfo.labTestedBy': 1 });
+sampleSchema.index({ resampleOf: 1 });
+sampleSchema.index({ batchId: 1 });
+sampleSchema.index({ site: 1, collectedAt: -1 });
+sampleSchema.index({ campaign: 1 });
+sampleSchema.index({ 'qc.parentSample': 1 });
 // Compound index for mobile queries (collectedBy + isDeleted + createdAt)
 sampleSchema.index({ collectedBy: 1, isDeleted: 1, createdAt: -1 });
 
-// Auto-generate sampleId
-sampleSchema.pre('save', async function(next) {
+/**
+ * Get sample ID base (PREFIX-PERIOD) for a date
+ * The counter for each base resets automatically when the period changes
+ */
+const getSampleIdBase = (prefix, date) => {
+  const year = date.getFullYear().toString().slice(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+
+  switch (sampleIdPeriod) {
+    case 'NONE':
+      return prefix;
+    case 'YEAR':
+      return `${prefix}-${year}`;
+    case 'MONTH':
+    default:
+      return `${prefix}-${year}${month}`;
+  }
+};
+
+/**
+ * Highest sequence number already used for an ID base
+ * Seeds a new counter so IDs created before the counter existed are never reused
+ */
+sampleSchema.statics.getMaxSequence = async function(base) {
+  const latest = await this.findOne({ sampleId: { $regex: `^${base}-\\d+$` } })
+    .sort({ sampleId: -1 })
+    .select('sampleId')
+    .lean();
+  return latest ? parseInt(latest.sampleId.split('-').pop()) : 0;
+};
+
+/**
+ * Generate sampleId from an atomic counter (race-free) unless already set
+ * Optional per-lab / per-region prefix: sample.$locals.idPrefix
+ * Runs on save - call it earlier when the ID is needed before saving
+ */
+sampleSchema.methods.assignSampleId = async function() {
   if (!this.sampleId) {
-    const count = await this.constructor.countDocuments();
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    this.sampleId = `SMP-${year}${month}-${(count + 1).toString().padStart(5, '0')}`;
+    const prefix = this.$locals.idPrefix || sampleIdPrefixes[0];
+    const base = getSampleIdBase(prefix, new Date());
+    const seq = await Counter.nextSequence(base, () => this.constructor.getMaxSequence(base));
+    this.sampleId = `${base}-${seq.toString().padStart(5, '0')}`;
   }
+  return this.sampleId;
+};
+
+// Auto-generate sampleId on first save
+sampleSchema.pre('save', async function(next) {
+  await this.assignSampleId();
   next();
 });
 
+/**
+ * Get the full resample chain a sample belongs to
+ * Walks up resampleOf to the original, then down through all follow-ups
+ * Returns samples sorted by collectedAt with their overallStatus
+ */
+sampleSchema.statics.getResampleChain = async function(sampleRef) {
+  const fields = 'sampleId title collectedAt lifecycleStatus overallStatus resampleOf';
+  const maxDepth = 50;
+
+  // Find the original sample
+  let root = await this.findById(sampleRef).select(fields).lean();
+  if (!root) return [];
+  for (let depth = 0; root.resampleOf && depth < maxDepth; depth++) {
+    const parent = await this.findById(root.resampleOf).select(fields).lean();
+    if (!parent) break;
+    root = parent;
+  }
+
+  // Collect all descendants level by level
+  const chain = [root];
+  let frontier = [root._id];
+  for (let depth = 0; frontier.length > 0 && depth < maxDepth; depth++) {
+    const children = await this.find({ resampleOf: { $in: frontier }, isDeleted: false })
+      .select(fields)
+      .lean();
+    chain.push(...children);
+    frontier = children.map(c => c._id);
+  }
+
+  return chain.sort((a, b) => new Date(a.collectedAt) - new Date(b.collectedAt));
+};
+
+/**
+ * Find possible duplicate submissions by the same collector
+ * Uses the location 2dsphere index ($geoNear) - nearest first, with distance in metres
+ */
+sampleSchema.statics.findPossibleDuplicates = function({ collectedBy, coordinates, collectedAt, radiusMetres, windowMinutes }) {
+  const windowMs = windowMinutes * 60 * 1000;
+  const at = new Date(collectedAt);
+
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        distanceField: 'distanceMetres',
+        maxDistance: radiusMetres,
+        spherical: true,
+        query: {
+          collectedBy,
+          isDeleted: false,
+          collectedAt: {
+            $gte: new Date(at.getTime() - windowMs),
+            $lte: new Date(at.getTime() + windowMs)
+          }
+        }
+      }
+    },
+    { $limit: 10 },
+    { $project: { sampleId: 1, title: 1, collectedAt: 1, lifecycleStatus: 1, distanceMetres: { $round: ['$distanceMetres', 1] } } }
+  ]);
+};
+
 /**
  * Calculate overall status from parameters
  * Only called after LAB test (all parameters have status)
  */
 sampleSchema.methods.calculateOverallStatus = function() {
-  if (this.parameters.length === 0) return null;
+  return this.constructor.calculateOverallStatus(this.parameters);
+};
+
+/**
+ * Overall status of a parameter list (documents or plain snapshots)
+ */
+sampleSchema.statics.calculateOverallStatus = function(parameters) {
+  if (!parameters || parameters.length === 0) return null;
 
   // Filter to only parameters that affect overall status and have status
-  const affectingParams = this.parameters.filter(p => p.affectsOverall !== false && p.status);
+  const affectingParams = parameters.filter(p => p.affectsOverall !== false && p.status);
 
   if (affectingParams.length === 0) return 'ACCEPTABLE';
 
@@ -261,6 +845,135 @@ sampleSchema.methods.getLabParameters = function() {
   return this.parameters.filter(p => p.testLocation === 'LAB');
 };
 
+/**
+ * Apply metadata edits (title, address, location, collectedAt, site)
+ * Returns [{ field, oldValue, newValue }] for fields that actually changed
+ */
+sampleSchema.methods.applyMetadataChanges = function(updates) {
+  const changes = [];
+
+  if (updates.title !== undefined && updates.title !== this.title) {
+    changes.push({ field: 'title', oldValue: this.title, newValue: updates.title });
+    this.title = updates.title;
+  }
+
+  if (updates.address !== undefined) {
+    const address = updates.address || null;
+    if (address !== this.address) {
+      changes.push({ field: 'address', oldValue: this.address, newValue: address });
+      this.address = address;
+    }
+  }
+
+  if (updates.location !== undefined) {
+    const oldLocation = this.getCoordinates();
+    const newLocation = {
+      longitude: parseFloat(updates.location.longitude),
+      latitude: parseFloat(updates.location.latitude)
+    };
+    if (oldLocation.longitude !== newLocation.longitude || oldLocation.latitude !== newLocation.latitude) {
+      changes.push({ field: 'location', oldValue: oldLocation, newValue: newLocation });
+      this.location = { type: 'Point', coordinates: [newLocation.longitude, newLocation.latitude] };
+    }
+  }
+
+  if (updates.site !== undefined) {
+    const oldSite = this.site ? this.site.toString() : null;
+    const newSite = updates.site || null;
+    if (oldSite !== newSite) {
+      changes.push({ field: 'site', oldValue: oldSite, newValue: newSite });
+      this.site = newSite;
+    }
+  }
+
+  if (updates.collectedAt !== undefined) {
+    const collectedAt = new Date(updates.collectedAt);
+    if (!this.collectedAt || collectedAt.getTime() !== this.collectedAt.getTime()) {
+      changes.push({ field: 'collectedAt', oldValue: this.collectedAt, newValue: collectedAt });
+      this.collectedAt = collectedAt;
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Metadata edit shared by the web and mobile APIs (does NOT save)
+ * - permissions and reason: see checkMetadataEdit
+ * - collectedAt is fixed once LAB tested (holding times and parameter versions depend on it)
+ * - site must be registered and active
+ * Returns { changes, error } - error is { message, statusCode } or null
+ */
+sampleSchema.methods.editMetadata = async function(updates, { user, reason } = {}) {
+  const fail = (message, statusCode = 400) => ({ changes: [], error: { message, statusCode } });
+
+  const editError = checkMetadataEdit(this, user, reason);
+  if (editError) {
+    return { changes: [], error: editError };
+  }
+
+  if (updates.collectedAt !== undefined && this.testInfo?.labTested &&
+      new Date(updates.collectedAt).getTime() !== this.collectedAt?.getTime()) {
+    return fail('Collection time cannot be changed after LAB test (holding times were evaluated against it)');
+  }
+
+  if (updates.site && !(await mongoose.model('Site').exists({ _id: updates.site, isActive: true }))) {
+    return fail('Site not found or inactive');
+  }
+
+  const changes = this.applyMetadataChanges(updates);
+  if (changes.length === 0) {
+    return fail('No changes to apply');
+  }
+
+  return { changes, error: null };
+};
+
+/**
+ * Users who entered the current lab values (tester and amenders)
+ * Includes everyone who amended the results since their last publication
+ * Four-eyes rule: none of them may review or publish these results
+ */
+sampleSchema.methods.getLabResultAuthors = function() {
+  const unpublishedAmenders = (this.revisions || [])
+    .filter(rev => rev.justification && rev.revision > (this.publishedRevision ?? -1))
+    .map(rev => rev.recordedBy);
+
+  return [this.testInfo?.labTestedBy, this.amendment?.amendedBy, ...unpublishedAmenders]
+    .filter(Boolean)
+    .map(ref => (ref._id || ref).toString());
+};
+
+/**
+ * Revision currently visible to the public, null when nothing is released
+ * - PUBLISHED: the current revision
+ * - LAB_TESTED after an amendment: the revision published before it
+ */
+sampleSchema.methods.getPublicRevisionNumber = function() {
+  if (this.lifecycleStatus === 'PUBLISHED') return this.revision;
+  if (this.lifecycleStatus === 'LAB_TESTED') return this.publishedRevision ?? null;
+  return null;
+};
+
+/**
+ * Check custody events
+ */
+sampleSchema.methods.hasCustodyEvent = function(event) {
+  return (this.custodyLog || []).some(e => e.event === event);
+};
+
+/**
+ * When the sample was analysed - holding times are measured up to here
+ * Explicit analysis time, else lab receipt (preserved from then on), else now
+ */
+sampleSchema.methods.getAnalysisTime = function(analysedAt = null, now = new Date()) {
+  if (analysedAt) {
+    return new Date(analysedAt);
+  }
+  const receipt = (this.custodyLog || []).find(e => e.event === 'LAB_RECEIVED');
+  return receipt ? receipt.timestamp : now;
+};
+
 // Get coordinates as lat/lng object
 sampleSchema.methods.getCoordinates = function() {
   if (this.location && this.location.coordinates) {
@@ -272,16 +985,52 @@ sampleSchema.methods.getCoordinates = function() {
   return { latitude: 0, longitude: 0 };
 };
 
+/**
+ * Get sample data as of a lab result revision
+ * Returns the current data if revision is not given, null if it doesn't exist
+ */
+sampleSchema.methods.getRevision = function(revisionNumber) {
+  const obj = this.toJSON();
+  if (revisionNumber === undefined || revisionNumber === null || revisionNumber === this.revision) {
+    return obj;
+  }
+
+  const rev = (obj.revisions || []).find(r => r.revision === revisionNumber);
+  if (!rev) return null;
+
+  return {
+    ...obj,
+    parameters: rev.parameters,
+    overallStatus: rev.overallStatus,
+    revision: rev.revision,
+    amendment: rev.justification ? {
+      justification: rev.justification,
+      amendedBy: rev.recordedBy,
+      amendedAt: rev.recordedAt
+    } : null,
+    review: rev.review ?? null,
+    isSuperseded: true
+  };
+};
+
 // Convert enumEvaluation Maps to plain objects for JSON
+const convertEnumMaps = (parameters) => parameters.map(param => {
+  if (param.enumEvaluation instanceof Map) {
+    param.enumEvaluation = Object.fromEntries(param.enumEvaluation);
+  }
+  return param;
+});
+
 sampleSchema.methods.toJSON = function() {
   const obj = this.toObject();
   if (obj.parameters) {
-    obj.parameters = obj.parameters.map(param => {
-      if (param.enumEvaluation instanceof Map) {
-        param.enumEvaluation = Object.fromEntries(param.enumEvaluation);
-      }
-      return param;
-    });
+    obj.parameters = convertEnumMaps(obj.parameters);
+  }
+  if (obj.revisions) {
+    obj.revisions = obj.revisions.map(rev => ({
+      ...rev,
+      parameters: convertEnumMaps(rev.parameters || [])
+    }));
   }
   return obj;
 };
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { siteSourceTypes } = require('../config');
+
+// External identifier (e.g. government well ID, utility asset number)
+const siteIdentifierSchema = new mongoose.Schema({
+  scheme: {
+    type: String,
+    required: [true, 'Identifier scheme is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Identifier scheme cannot exceed 50 characters']
+  },
+  value: {
+    type: String,
+    required: [true, 'Identifier value is required'],
+    trim: true,
+    maxlength: [100, 'Identifier value cannot exceed 100 characters']
+  }
+}, { _id: false });
+
+// Fixed sampling site (borewell, tap, reservoir...) - samples link to it
+const siteSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Site code is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [50, 'Site code cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Site name is required'],
+    trim: true,
+    maxlength: [200, 'Site name cannot exceed 200 characters']
+  },
+  sourceType: {
+    type: String,
+    enum: {
+      values: siteSourceTypes,
+      message: `Source type must be one of: ${siteSourceTypes.join(', ')}`
+    },
+    required: [true, 'Source type is required'],
+    uppercase: true
+  },
+  // Owner / operator (panchayat, utility, private household...)
+  owner: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Owner cannot exceed 200 characters'],
+    default: null
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],  // [longitude, latitude]
+      required: [true, 'Site location coordinates are required']
+    }
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Address cannot exceed 500 characters'],
+    default: null
+  },
+  identifiers: {
+    type: [siteIdentifierSchema],
+    default: []
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+siteSchema.index({ code: 1 }, { unique: true });
+siteSchema.index({ location: '2dsphere' });
+siteSchema.index({ isActive: 1, sourceType: 1 });
+
+/**
+ * Find active sites near a point - nearest first, with distance in metres
+ */
+siteSchema.statics.findNearby = function({ longitude, latitude, radiusMetres, limit = 20 }) {
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        distanceField: 'distanceMetres',
+        maxDistance: radiusMetres,
+        spherical: true,
+        query: { isActive: true }
+      }
+    },
+    { $limit: limit },
+    {
+      $project: {
+        code: 1,
+        name: 1,
+        sourceType: 1,
+        owner: 1,
+        address: 1,
+        location: 1,
+        distanceMetres: { $round: ['$distanceMetres', 1] }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('Site', siteSchema);
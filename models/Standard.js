@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const { parameterStatuses, standardVersion } = require('../config');
+
+// Limit schema for nested min/max values
+const limitSchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    default: null
+  },
+  max: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+// Limit set of one parameter under this standard
+const standardLimitSchema = new mongoose.Schema({
+  parameter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParameterMaster',
+    required: [true, 'Parameter is required']
+  },
+  // For RANGE and MAX types
+  acceptableLimit: {
+    type: limitSchema,
+    default: { min: null, max: null }
+  },
+  permissibleLimit: {
+    type: limitSchema,
+    default: { min: null, max: null }
+  },
+  // For ENUM type - same keys as the parameter, statuses may differ
+  enumEvaluation: {
+    type: Map,
+    of: {
+      type: String,
+      enum: {
+        values: parameterStatuses,
+        message: 'Enum status must be one of: ACCEPTABLE, PERMISSIBLE, NOT_ACCEPTABLE'
+      }
+    },
+    default: new Map()
+  }
+}, { _id: false });
+
+// Drinking-water standard (IS 10500:2012, WHO guidelines, state norms...)
+// The baseline standard (config.standardVersion) is defined by the ParameterMaster
+// limits themselves and carries no limit set
+const standardSchema = new mongoose.Schema({
+  // Code stored on samples as standardVersion (e.g. "IS10500-2012")
+  code: {
+    type: String,
+    required: [true, 'Standard code is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [50, 'Standard code cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Standard name is required'],
+    trim: true,
+    maxlength: [200, 'Standard name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  limits: {
+    type: [standardLimitSchema],
+    default: []
+  },
+  // Used when a sample does not select a standard
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+standardSchema.index({ code: 1 }, { unique: true });
+standardSchema.index({ isActive: 1, isDefault: 1 });
+
+// A copy of the baseline limits would shadow later ParameterMaster edits
+standardSchema.pre('validate', function(next) {
+  if (this.isBaseline() && this.limits.length > 0) {
+    this.invalidate('limits', `${this.code} limits are the parameter limits - edit the parameters instead`);
+  }
+  next();
+});
+
+/**
+ * Whether this is the baseline standard the ParameterMaster limits belong to
+ */
+standardSchema.methods.isBaseline = function() {
+  return this.code === standardVersion;
+};
+
+/**
+ * Resolve the standard for a sample - by code, else the active default
+ * Returns null when a code is given but no active standard matches
+ */
+standardSchema.statics.resolve = async function(code) {
+  if (code) {
+    return this.findOne({ code: code.toUpperCase(), isActive: true });
+  }
+  return this.findOne({ isDefault: true, isActive: true });
+};
+
+/**
+ * Standard for a sample: requested code, else the sample's current standard, else the default
+ * Returns { standard } (null = ParameterMaster limits) or { error } for an unknown / inactive code
+ */
+standardSchema.statics.selectFor = async function(code, currentRef = null) {
+  if (code) {
+    const standard = await this.resolve(code);
+    return standard ? { standard } : { error: `Standard ${code.toUpperCase()} not found or inactive` };
+  }
+  if (currentRef) {
+    return { standard: await this.findById(currentRef) };
+  }
+  return { standard: await this.resolve() };
+};
+
+/**
+ * Limit set entry for a parameter, null when the standard does not cover it
+ */
+standardSchema.methods.getLimitEntry = function(parameterRef) {
+  const id = parameterRef.toString();
+  return this.limits.find(l => l.parameter.toString() === id) || null;
+};
+
+/**
+ * Convert enumEvaluation Maps to plain objects for JSON serialization
+ */
+standardSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  obj.limits = (obj.limits || []).map(limit => ({
+    ...limit,
+    enumEvaluation: limit.enumEvaluation instanceof Map
+      ? Object.fromEntries(limit.enumEvaluation)
+      : limit.enumEvaluation
+  }));
+  return obj;
+};
+
+module.exports = mongoose.model('Standard', standardSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Immutable, effective-dated version of a standard's limit set
+const standardVersionSchema = new mongoose.Schema({
+  standard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Standard',
+    required: [true, 'Standard is required']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Samples collected from this date on are evaluated with this limit set
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective-from date is required']
+  },
+  // null for the baseline recorded from a pre-existing limit set
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Full limit set as of this version (Standard.limits)
+  limits: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+standardVersionSchema.index({ standard: 1, version: 1 }, { unique: true });
+standardVersionSchema.index({ standard: 1, effectiveFrom: -1 });
+
+// Versions are never edited or removed
+standardVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Standard versions are immutable'));
+  }
+  next();
+});
+
+standardVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Standard versions are immutable'));
+  }
+);
+
+/**
+ * Record the current limit set of a standard as its next version
+ * Returns the created version
+ */
+standardVersionSchema.statics.record = async function(standard, { effectiveFrom, author = null, reason }) {
+  const latest = await this.findOne({ standard: standard._id }).sort({ version: -1 }).select('version');
+
+  return this.create({
+    standard: standard._id,
+    version: latest ? latest.version + 1 : 1,
+    effectiveFrom,
+    author,
+    reason,
+    limits: standard.toJSON().limits
+  });
+};
+
+/**
+ * Version in effect at a date, from versions sorted by version number
+ * - latest version with effectiveFrom <= at
+ * - the earliest version when the date predates all versions
+ * Returns null when there are no versions
+ */
+standardVersionSchema.statics.selectEffective = function(versions, at) {
+  let effective = null;
+  versions.forEach(v => {
+    if (!effective || v.effectiveFrom <= at) {
+      effective = v;
+    }
+  });
+  return effective;
+};
+
+/**
+ * Version of a standard in effect at a date (null = unversioned standard)
+ */
+standardVersionSchema.statics.findEffective = async function(standardId, at) {
+  const versions = await this.find({ standard: standardId }).sort({ version: 1 });
+  return this.selectEffective(versions, at);
+};
+
+/**
+ * Standard document with this version's limit set (not saved)
+ * Provides getLimitEntry for ParameterMaster.getLimits as of this version
+ */
+standardVersionSchema.methods.toStandard = function(standard) {
+  const Standard = mongoose.model('Standard');
+  const versioned = Standard.hydrate({ ...standard.toObject(), limits: this.limits });
+  versioned.$locals.version = this.version;
+  return versioned;
+};
+
+module.exports = mongoose.model('StandardVersion', standardVersionSchema);
@@ -28,7 +28,7 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: {
       values: userRoles,
-      message: 'Role must be one of: ADMIN, TEAM_MEMBER, PUBLIC_VIEWER'
+      message: `Role must be one of: ${userRoles.join(', ')}`
     },
     default: 'TEAM_MEMBER'
   },
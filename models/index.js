@@ -2,10 +2,24 @@ const User = require('./User');
 const Sample = require('./Sample');
 const AuditLog = require('./AuditLog');
 const ParameterMaster = require('./ParameterMaster');
+const Counter = require('./Counter');
+const Site = require('./Site');
+const Campaign = require('./Campaign');
+const Comment = require('./Comment');
+const Standard = require('./Standard');
+const ParameterVersion = require('./ParameterVersion');
+const StandardVersion = require('./StandardVersion');
 
 module.exports = {
   User,
   Sample,
   AuditLog,
-  ParameterMaster
+  ParameterMaster,
+  Counter,
+  Site,
+  Campaign,
+  Comment,
+  Standard,
+  ParameterVersion,
+  StandardVersion
 };
@@ -0,0 +1,38 @@
+/**
+ * Campaign Routes (Admin)
+ * Sampling campaigns - planned visits assigned to TEAM_MEMBER collectors
+ *
+ * Collectors see their pending visits via GET /api/mobile/visits
+ */
+
+const express = require('express');
+const router = express.Router();
+const { campaignController } = require('../controllers');
+const { protect, authorize, validate } = require('../middleware');
+const { campaignValidators, paginationValidators } = require('../utils/validators');
+
+// All campaign management routes are Admin only
+router.use(protect, authorize('ADMIN'));
+
+// Get all campaigns with progress summary
+router.get('/', validate(paginationValidators), campaignController.getAllCampaigns);
+
+// Create campaign
+router.post('/', validate(campaignValidators.create), campaignController.createCampaign);
+
+// Get campaign by ID
+router.get('/:id', validate(campaignValidators.getById), campaignController.getCampaignById);
+
+// Progress - completed / overdue / remaining visits
+router.get('/:id/progress', validate(campaignValidators.getById), campaignController.getCampaignProgress);
+
+// Update campaign details
+router.patch('/:id', validate(campaignValidators.update), campaignController.updateCampaign);
+
+// Add visits
+router.post('/:id/visits', validate(campaignValidators.addVisits), campaignController.addVisits);
+
+// Remove an open visit
+router.delete('/:id/visits/:visitId', validate(campaignValidators.removeVisit), campaignController.removeVisit);
+
+module.exports = router;
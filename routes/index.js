@@ -7,6 +7,9 @@ const userRoutes = require('./userRoutes');
 const publicRoutes = require('./publicRoutes');
 const parameterRoutes = require('./parameterRoutes');
 const mobileRoutes = require('./mobileRoutes');
+const siteRoutes = require('./siteRoutes');
+const campaignRoutes = require('./campaignRoutes');
+const standardRoutes = require('./standardRoutes');
 
 router.use('/auth', authRoutes);
 router.use('/samples', sampleRoutes);
@@ -14,5 +17,8 @@ router.use('/users', userRoutes);
 router.use('/public', publicRoutes);
 router.use('/parameters', parameterRoutes);
 router.use('/mobile', mobileRoutes);
+router.use('/sites', siteRoutes);
+router.use('/campaigns', campaignRoutes);
+router.use('/standards', standardRoutes);
 
 module.exports = router;
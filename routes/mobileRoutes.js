@@ -6,6 +6,7 @@
  * POST /mobile/samples - Create sample with optional field test
  *   - Without parameters: COLLECTED (test later)
  *   - With parameters: FIELD_TESTED (done)
+ * POST /mobile/samples/:id/field-test - Field test a COLLECTED sample later
  *
  * Lifecycle: COLLECTED → FIELD_TESTED → LAB_TESTED → PUBLISHED → ARCHIVED
  */
@@ -13,9 +14,11 @@
 const express = require('express');
 const router = express.Router();
 const mobileController = require('../controllers/mobileController');
+const commentController = require('../controllers/commentController');
+const attachmentController = require('../controllers/attachmentController');
 const { protect, authorize, validate } = require('../middleware');
-const { sampleValidators, paginationValidators } = require('../utils/validators');
-const { sampleUpload } = require('../services/uploadService');
+const { sampleValidators, siteValidators, paginationValidators } = require('../utils/validators');
+const { sampleUpload, attachmentUpload } = require('../services/uploadService');
 
 // All mobile routes require TEAM_MEMBER or ADMIN role
 router.use(protect, authorize('TEAM_MEMBER', 'ADMIN'));
@@ -23,6 +26,12 @@ router.use(protect, authorize('TEAM_MEMBER', 'ADMIN'));
 // Get FIELD parameters for form
 router.get('/parameters', mobileController.getFieldParameters);
 
+// Get registered sites near the collector
+router.get('/sites/nearby', validate(siteValidators.nearby), mobileController.getNearbySites);
+
+// Get my pending campaign visits
+router.get('/visits', mobileController.getMyVisits);
+
 // Get my sample statistics (for dashboard)
 router.get('/stats', mobileController.getMobileStats);
 
@@ -42,6 +51,27 @@ router.get(
   mobileController.getMobileSamples
 );
 
+// Submit FIELD test for a COLLECTED (or rejected for re-test) sample
+router.post(
+  '/samples/:id/field-test',
+  validate(sampleValidators.fieldTest),
+  mobileController.submitFieldTest
+);
+
+// Record custody dispatch (collector → courier)
+router.post(
+  '/samples/:id/custody/dispatch',
+  validate(sampleValidators.custodyDispatch),
+  mobileController.dispatchSample
+);
+
+// Update own sample metadata (before LAB test)
+router.patch(
+  '/samples/:id',
+  validate(sampleValidators.update),
+  mobileController.updateMobileSample
+);
+
 // Get sample by ID
 router.get(
   '/samples/:id',
@@ -49,4 +79,37 @@ router.get(
   mobileController.getMobileSampleById
 );
 
+// Comment thread (internal staff comments are not shown)
+router.get(
+  '/samples/:id/comments',
+  validate(sampleValidators.getById),
+  commentController.getComments
+);
+
+router.post(
+  '/samples/:id/comments',
+  validate(sampleValidators.comment),
+  commentController.addComment
+);
+
+// Attachments (extra photos, field sheets) - own uploads can be deleted
+router.get(
+  '/samples/:id/attachments',
+  validate(sampleValidators.getById),
+  attachmentController.getAttachments
+);
+
+router.post(
+  '/samples/:id/attachments',
+  attachmentUpload,
+  validate(sampleValidators.attachment),
+  attachmentController.addAttachment
+);
+
+router.delete(
+  '/samples/:id/attachments/:attachmentId',
+  validate(sampleValidators.attachmentById),
+  attachmentController.deleteAttachment
+);
+
 module.exports = router;
@@ -10,6 +10,9 @@ router.get('/', protect, parameterController.getAllParameters);
 // Get parameter by ID
 router.get('/:id', protect, parameterController.getParameterById);
 
+// Get effective-dated version history
+router.get('/:id/history', protect, validate(parameterValidators.getById), parameterController.getParameterHistory);
+
 // Create parameter (Admin only)
 router.post(
   '/',
@@ -7,11 +7,11 @@ const { paginationValidators, sampleValidators } = require('../utils/validators'
 // Get published samples
 router.get('/samples', validate(paginationValidators), publicController.getPublicSamples);
 
-// Get single published sample
-router.get('/samples/:id', validate(sampleValidators.getById), publicController.getPublicSampleById);
+// Get single published sample (?revision= for older lab results)
+router.get('/samples/:id', validate(sampleValidators.getRevision), publicController.getPublicSampleById);
 
-// Download sample PDF report (public)
-router.get('/samples/:id/pdf', validate(sampleValidators.getById), publicController.downloadPublicPDF);
+// Download sample PDF report (public, ?revision= for older lab results)
+router.get('/samples/:id/pdf', validate(sampleValidators.getRevision), publicController.downloadPublicPDF);
 
 // Get statistics
 router.get('/stats', publicController.getPublicStats);
@@ -3,23 +3,93 @@
  * API endpoints for admin sample management
  *
  * NEW WORKFLOW: FIELD + LAB Hybrid Testing
- * - Lab test → FIELD_TESTED → LAB_TESTED (Admin)
- * - Publish → LAB_TESTED → PUBLISHED (Admin)
+ * - Lab receipt / QC / Lab test → FIELD_TESTED → LAB_TESTED (Admin, Lab analyst)
+ * - Reject → FIELD_TESTED → REJECTED (Admin)
+ * - Amend → new lab result revision, LAB_TESTED / PUBLISHED only (Admin)
+ * - Review → four-eyes approval of LAB_TESTED results, not by the tester (Admin)
+ * - Publish → LAB_TESTED → PUBLISHED, reviewed and not by the tester (Admin)
+ * - Retract → PUBLISHED → RETRACTED (Admin)
  * - Archive → PUBLISHED → ARCHIVED (Admin)
  * - Restore → ARCHIVED → PUBLISHED (Admin)
+ * - Bulk publish / archive / restore → /bulk/* with ids or filter (Admin)
+ * - What-if → re-evaluate samples against proposed limits without saving (Admin)
+ * - QC → create blank / duplicate / spike, evaluated on LAB test, never published (Admin, Lab analyst)
+ * - Attachments → typed files with INTERNAL / PUBLIC visibility (any staff, PUBLIC: Admin, Lab analyst)
+ *
+ * Trash (independent of lifecycle):
+ * - Delete → soft delete with reason, Trash → list, Undelete, Purge → permanent (Admin)
  *
  * Lifecycle: COLLECTED → FIELD_TESTED → LAB_TESTED → PUBLISHED → ARCHIVED
+ * Transitions are defined in services/lifecycleService.js
  */
 
 const express = require('express');
 const router = express.Router();
 const sampleController = require('../controllers/sampleController');
+const commentController = require('../controllers/commentController');
+const attachmentController = require('../controllers/attachmentController');
 const { protect, authorize, validate } = require('../middleware');
 const { sampleValidators, paginationValidators } = require('../utils/validators');
+const { attachmentUpload } = require('../services/uploadService');
 
 // Stats route (Admin only)
 router.get('/stats', protect, authorize('ADMIN'), sampleController.getStats);
 
+// Sample ID sequence gap audit (Admin only)
+router.get('/id-audit', protect, authorize('ADMIN'), sampleController.getSampleIdAudit);
+
+// Trash - soft-deleted samples (Admin only)
+router.get(
+  '/trash',
+  protect,
+  authorize('ADMIN'),
+  validate(paginationValidators),
+  sampleController.getTrash
+);
+
+// Bulk lifecycle operations (Admin only) - before /:id routes
+router.post(
+  '/bulk/publish',
+  protect,
+  authorize('ADMIN'),
+  validate(sampleValidators.bulk),
+  sampleController.bulkPublish
+);
+
+router.post(
+  '/bulk/archive',
+  protect,
+  authorize('ADMIN'),
+  validate(sampleValidators.bulk),
+  sampleController.bulkArchive
+);
+
+router.post(
+  '/bulk/restore',
+  protect,
+  authorize('ADMIN'),
+  validate(sampleValidators.bulk),
+  sampleController.bulkRestore
+);
+
+// What-if re-evaluation against proposed limits, nothing saved (Admin only)
+router.post(
+  '/what-if',
+  protect,
+  authorize('ADMIN'),
+  validate(sampleValidators.whatIf),
+  sampleController.whatIfLimits
+);
+
+// Create lab QC sample (Admin, Lab analyst) - before /:id routes
+router.post(
+  '/qc',
+  protect,
+  authorize('ADMIN', 'LAB_ANALYST'),
+  validate(sampleValidators.createQc),
+  sampleController.createQcSample
+);
+
 // Get all samples
 router.get(
   '/',
@@ -28,31 +98,114 @@ router.get(
   sampleController.getAllSamples
 );
 
-// Get sample by ID
+// Get sample by ID (?revision= for older lab results)
 router.get(
   '/:id',
   protect,
-  validate(sampleValidators.getById),
+  validate(sampleValidators.getRevision),
   sampleController.getSampleById
 );
 
-// Download sample as PDF report
+// Update sample metadata (Admin only, reason required once published)
+router.patch(
+  '/:id',
+  protect,
+  authorize('ADMIN'),
+  validate(sampleValidators.update),
+  sampleController.updateSample
+);
+
+// Comment thread - internal comments for ADMIN / LAB_ANALYST only
 router.get(
-  '/:id/pdf',
+  '/:id/comments',
+  protect,
+  validate(sampleValidators.getById),
+  commentController.getComments
+);
+
+router.post(
+  '/:id/comments',
+  protect,
+  validate(sampleValidators.comment),
+  commentController.addComment
+);
+
+// Attachments - photos, printouts, certificates, field sheets (delete: uploader or Admin)
+router.get(
+  '/:id/attachments',
   protect,
   validate(sampleValidators.getById),
+  attachmentController.getAttachments
+);
+
+router.post(
+  '/:id/attachments',
+  protect,
+  attachmentUpload,
+  validate(sampleValidators.attachment),
+  attachmentController.addAttachment
+);
+
+router.delete(
+  '/:id/attachments/:attachmentId',
+  protect,
+  validate(sampleValidators.attachmentById),
+  attachmentController.deleteAttachment
+);
+
+// Download sample as PDF report (?revision= for older lab results)
+router.get(
+  '/:id/pdf',
+  protect,
+  validate(sampleValidators.getRevision),
   sampleController.downloadPDF
 );
 
-// Submit LAB test - FIELD_TESTED → LAB_TESTED (Admin only)
+// Record lab receipt - chain of custody (Admin, Lab analyst)
+router.post(
+  '/:id/custody/receipt',
+  protect,
+  authorize('ADMIN', 'LAB_ANALYST'),
+  validate(sampleValidators.custodyReceipt),
+  sampleController.receiveSample
+);
+
+// Submit LAB test - FIELD_TESTED → LAB_TESTED (Admin, Lab analyst)
 router.post(
   '/:id/lab-test',
   protect,
-  authorize('ADMIN'),
+  authorize('ADMIN', 'LAB_ANALYST'),
   validate(sampleValidators.labTest),
   sampleController.submitLabTest
 );
 
+// Amend lab results - new revision for LAB_TESTED / PUBLISHED (Admin only)
+router.post(
+  '/:id/amend',
+  protect,
+  authorize('ADMIN'),
+  validate(sampleValidators.amend),
+  sampleController.amendLabResults
+);
+
+// Reject sample - FIELD_TESTED → REJECTED (Admin only)
+router.patch(
+  '/:id/reject',
+  protect,
+  authorize('ADMIN'),
+  validate(sampleValidators.reject),
+  sampleController.rejectSample
+);
+
+// Review lab results - required before publishing (Admin only)
+router.post(
+  '/:id/review',
+  protect,
+  authorize('ADMIN'),
+  validate(sampleValidators.review),
+  sampleController.reviewSample
+);
+
 // Publish sample - LAB_TESTED → PUBLISHED (Admin only)
 router.patch(
   '/:id/publish',
@@ -62,6 +215,15 @@ router.patch(
   sampleController.publishSample
 );
 
+// Retract sample - PUBLISHED → RETRACTED (Admin only)
+router.patch(
+  '/:id/retract',
+  protect,
+  authorize('ADMIN'),
+  validate(sampleValidators.retract),
+  sampleController.retractSample
+);
+
 // Archive sample - PUBLISHED → ARCHIVED (Admin only)
 router.patch(
   '/:id/archive',
@@ -80,4 +242,31 @@ router.patch(
   sampleController.restoreSample
 );
 
+// Soft delete sample - moves to trash (Admin only)
+router.delete(
+  '/:id',
+  protect,
+  authorize('ADMIN'),
+  validate(sampleValidators.softDelete),
+  sampleController.deleteSample
+);
+
+// Undelete sample - restores from trash (Admin only)
+router.patch(
+  '/:id/undelete',
+  protect,
+  authorize('ADMIN'),
+  validate(sampleValidators.getById),
+  sampleController.undeleteSample
+);
+
+// Purge sample - permanent removal of a trashed sample + images (Admin only)
+router.delete(
+  '/:id/purge',
+  protect,
+  authorize('ADMIN'),
+  validate(sampleValidators.getById),
+  sampleController.purgeSample
+);
+
 module.exports = router;
@@ -0,0 +1,54 @@
+/**
+ * Site Routes
+ * Sampling site registry - list / history for authenticated users, CRUD for admins
+ */
+
+const express = require('express');
+const router = express.Router();
+const { siteController } = require('../controllers');
+const { protect, authorize, validate } = require('../middleware');
+const { siteValidators, paginationValidators } = require('../utils/validators');
+
+// Get all sites (authenticated users)
+router.get('/', protect, validate(paginationValidators), siteController.getAllSites);
+
+// Get site by ID
+router.get('/:id', protect, validate(siteValidators.getById), siteController.getSiteById);
+
+// Sample history + latest overall status
+router.get(
+  '/:id/history',
+  protect,
+  validate(siteValidators.getById),
+  validate(paginationValidators),
+  siteController.getSiteHistory
+);
+
+// Create site (Admin only)
+router.post(
+  '/',
+  protect,
+  authorize('ADMIN'),
+  validate(siteValidators.create),
+  siteController.createSite
+);
+
+// Update site (Admin only)
+router.patch(
+  '/:id',
+  protect,
+  authorize('ADMIN'),
+  validate(siteValidators.update),
+  siteController.updateSite
+);
+
+// Delete site without linked samples (Admin only)
+router.delete(
+  '/:id',
+  protect,
+  authorize('ADMIN'),
+  validate(siteValidators.getById),
+  siteController.deleteSite
+);
+
+module.exports = router;
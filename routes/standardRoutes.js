@@ -0,0 +1,40 @@
+/**
+ * Standard Routes
+ * Drinking-water standards and their per-parameter limit sets
+ * List / detail for authenticated users, create / update for admins
+ */
+
+const express = require('express');
+const router = express.Router();
+const { standardController } = require('../controllers');
+const { protect, authorize, validate } = require('../middleware');
+const { standardValidators } = require('../utils/validators');
+
+// Get all standards (authenticated users)
+router.get('/', protect, standardController.getAllStandards);
+
+// Get effective-dated limit set history
+router.get('/:id/history', protect, validate(standardValidators.getById), standardController.getStandardHistory);
+
+// Get standard by ID with its limit set
+router.get('/:id', protect, validate(standardValidators.getById), standardController.getStandardById);
+
+// Create standard (Admin only)
+router.post(
+  '/',
+  protect,
+  authorize('ADMIN'),
+  validate(standardValidators.create),
+  standardController.createStandard
+);
+
+// Update standard / replace its limit set (Admin only)
+router.patch(
+  '/:id',
+  protect,
+  authorize('ADMIN'),
+  validate(standardValidators.update),
+  standardController.updateStandard
+);
+
+module.exports = router;
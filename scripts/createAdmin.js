@@ -8,7 +8,7 @@ const userSchema = new mongoose.Schema({
   name: String,
   email: { type: String, unique: true, lowercase: true },
   password: { type: String, select: false },
-  role: { type: String, enum: ['ADMIN', 'FIELD_AGENT', 'ANALYST'], default: 'FIELD_AGENT' },
+  role: { type: String, enum: ['ADMIN', 'TEAM_MEMBER', 'LAB_ANALYST'], default: 'TEAM_MEMBER' },
   isActive: { type: Boolean, default: true }
 }, { timestamps: true });
 
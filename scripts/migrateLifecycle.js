@@ -0,0 +1,69 @@
+/**
+ * Lifecycle Migration Script
+ *
+ * Backfills lifecycleStatus and statusHistory for samples created
+ * before the lifecycle state machine existed.
+ *
+ * - Derives the state from the legacy testInfo flags
+ * - Old archives (published + isDeleted) become ARCHIVED and are un-deleted
+ *
+ * Usage: npm run migrate:lifecycle
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Sample } = require('../models');
+const { deriveLifecycleStatus } = require('../services/lifecycleService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sample_management';
+
+async function migrateLifecycle() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const samples = await Sample.find({ 'statusHistory.0': { $exists: false } });
+    console.log(`\nSamples without status history: ${samples.length}`);
+
+    const counts = {};
+
+    for (const sample of samples) {
+      const status = deriveLifecycleStatus(sample);
+      const historyAt = sample.testInfo?.publishedAt ||
+        sample.testInfo?.labTestedAt ||
+        sample.testInfo?.fieldTestedAt ||
+        sample.createdAt;
+
+      sample.lifecycleStatus = status;
+      sample.statusHistory = [{
+        from: null,
+        to: status,
+        action: 'MIGRATE',
+        actor: null,
+        timestamp: historyAt,
+        reason: 'Backfilled from legacy testInfo flags'
+      }];
+
+      if (status === 'ARCHIVED') {
+        sample.isDeleted = false;
+      }
+
+      await sample.save();
+      counts[status] = (counts[status] || 0) + 1;
+    }
+
+    console.log('\n--- Migrated ---');
+    Object.keys(counts).forEach(status => {
+      console.log(`  ${status}: ${counts[status]}`);
+    });
+    console.log('');
+  } catch (error) {
+    console.error('Error:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migrateLifecycle();
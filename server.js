@@ -10,7 +10,7 @@ const connectDB = require('./config/database');
 const routes = require('./routes');
 const { errorHandler } = require('./middleware');
 const config = require('./config');
-const { seedParameters, seedAdmin, seedTeamMember, seedSampleData } = require('./utils/seedParameters');
+const { seedParameters, seedStandards, seedAdmin, seedTeamMember, seedSampleData } = require('./utils/seedParameters');
 
 const app = express();
 
@@ -24,6 +24,7 @@ const initializeDB = async () => {
   try {
     await connectDB();
     await seedParameters();
+    await seedStandards();
     await seedAdmin();
     await seedTeamMember();
     await seedSampleData();
@@ -0,0 +1,269 @@
+/**
+ * Lifecycle Service
+ * Single source of truth for sample lifecycle transitions
+ *
+ * Lifecycle: COLLECTED → FIELD_TESTED → LAB_TESTED → PUBLISHED → ARCHIVED
+ * Rejection: FIELD_TESTED → REJECTED (→ FIELD_TESTED again if RETEST_FIELD,
+ *   → RECOLLECTED once a RECOLLECT follow-up sample is collected)
+ * Retraction: PUBLISHED → RETRACTED (public notice, no parameter values)
+ * Amendment: LAB_TESTED / PUBLISHED → LAB_TESTED (review + publish again,
+ *   the published revision stays public meanwhile)
+ * QC samples: COLLECTED → LAB_TESTED (prepared in the lab, never published)
+ *
+ * Each transition defines:
+ * - from: states the sample may be in
+ * - to: resulting state
+ * - roles: user roles allowed to perform it
+ * - guard: optional extra check (sample, user), returns an error message or null
+ */
+
+// Transition table - keyed by action name
+const TRANSITIONS = {
+  FIELD_TEST: {
+    from: ['COLLECTED', 'REJECTED'],
+    to: 'FIELD_TESTED',
+    roles: ['TEAM_MEMBER', 'ADMIN'],
+    guard: (sample) => {
+      if (sample.lifecycleStatus === 'REJECTED' && sample.rejection?.resolution !== 'RETEST_FIELD') {
+        return 'Rejected sample must be re-collected, not re-tested';
+      }
+      return sample.parameters.length === 0 ? 'FIELD parameters are required for field test' : null;
+    }
+  },
+  REJECT: {
+    from: ['FIELD_TESTED'],
+    to: 'REJECTED',
+    roles: ['ADMIN'],
+    guard: (sample) => (
+      !sample.rejection?.reason ? 'Rejection reason is required' : null
+    )
+  },
+  RECOLLECT: {
+    from: ['REJECTED'],
+    to: 'RECOLLECTED',
+    roles: ['TEAM_MEMBER', 'ADMIN'],
+    guard: (sample) => (
+      sample.rejection?.resolution !== 'RECOLLECT' ? 'Rejected sample must be re-tested, not re-collected' : null
+    )
+  },
+  LAB_TEST: {
+    from: ['COLLECTED', 'FIELD_TESTED'],
+    to: 'LAB_TESTED',
+    roles: ['ADMIN', 'LAB_ANALYST'],
+    guard: (sample) => {
+      if (sample.lifecycleStatus === 'COLLECTED' && sample.sampleType !== 'QC') {
+        return 'FIELD test must be completed before LAB test';
+      }
+      // Samples collected before chain of custody existed have no custody log to check
+      if ((sample.custodyLog || []).length === 0) {
+        return null;
+      }
+      return !sample.hasCustodyEvent('LAB_RECEIVED') ? 'Lab receipt must be recorded (chain of custody) before LAB test' : null;
+    }
+  },
+  AMEND: {
+    from: ['LAB_TESTED', 'PUBLISHED'],
+    to: 'LAB_TESTED',
+    roles: ['ADMIN']
+  },
+  PUBLISH: {
+    from: ['LAB_TESTED'],
+    to: 'PUBLISHED',
+    roles: ['ADMIN'],
+    guard: (sample, user) => {
+      if (sample.sampleType === 'QC') {
+        return 'QC samples cannot be published';
+      }
+      if (!sample.overallStatus) {
+        return 'Sample has no overall status calculated';
+      }
+      // Four-eyes rule: whoever entered the values cannot release them
+      if (user && sample.getLabResultAuthors().includes(user._id.toString())) {
+        return 'Results must be published by someone other than the lab tester';
+      }
+      return !sample.review ? 'Lab results must be reviewed before publishing' : null;
+    }
+  },
+  RETRACT: {
+    from: ['PUBLISHED'],
+    to: 'RETRACTED',
+    roles: ['ADMIN'],
+    guard: (sample) => (
+      !sample.retraction?.reason ? 'Public retraction reason is required' : null
+    )
+  },
+  ARCHIVE: {
+    from: ['PUBLISHED'],
+    to: 'ARCHIVED',
+    roles: ['ADMIN']
+  },
+  RESTORE: {
+    from: ['ARCHIVED'],
+    to: 'PUBLISHED',
+    roles: ['ADMIN']
+  }
+};
+
+/**
+ * Check whether a transition is allowed for a sample and user
+ * Returns null if allowed, otherwise { message, statusCode }
+ */
+const checkTransition = (sample, action, user) => {
+  const transition = TRANSITIONS[action];
+
+  if (!transition) {
+    return { message: `Unknown lifecycle action: ${action}`, statusCode: 400 };
+  }
+
+  if (user && !transition.roles.includes(user.role)) {
+    return { message: `Role ${user.role} is not allowed to perform ${action}`, statusCode: 403 };
+  }
+
+  if (sample.isDeleted) {
+    return { message: 'Cannot change the status of a deleted sample', statusCode: 400 };
+  }
+
+  if (!transition.from.includes(sample.lifecycleStatus)) {
+    return {
+      message: `Cannot ${action} a sample in ${sample.lifecycleStatus} status (expected ${transition.from.join(' or ')})`,
+      statusCode: 400
+    };
+  }
+
+  if (transition.guard) {
+    const guardError = transition.guard(sample, user);
+    if (guardError) {
+      return { message: guardError, statusCode: 400 };
+    }
+  }
+
+  return null;
+};
+
+// States before LAB test - collectors may still edit their own samples
+const PRE_LAB_STATUSES = ['COLLECTED', 'FIELD_TESTED', 'REJECTED'];
+
+// States with publicly released results - edits need an admin and a reason
+const RELEASED_STATUSES = ['PUBLISHED', 'RETRACTED', 'ARCHIVED'];
+
+/**
+ * Check whether a user may edit sample metadata in its current state
+ * Returns null if allowed, otherwise { message, statusCode }
+ */
+const checkMetadataEdit = (sample, user, reason) => {
+  if (sample.isDeleted) {
+    return { message: 'Cannot edit a deleted sample', statusCode: 400 };
+  }
+
+  if (user.role !== 'ADMIN') {
+    if (sample.collectedBy.toString() !== user._id.toString()) {
+      return { message: 'You can only edit samples you collected', statusCode: 403 };
+    }
+    if (!PRE_LAB_STATUSES.includes(sample.lifecycleStatus)) {
+      return { message: `Only admins can edit a sample in ${sample.lifecycleStatus} status`, statusCode: 403 };
+    }
+  }
+
+  if (RELEASED_STATUSES.includes(sample.lifecycleStatus) && !reason) {
+    return { message: `A reason is required to edit a sample in ${sample.lifecycleStatus} status`, statusCode: 400 };
+  }
+
+  return null;
+};
+
+/**
+ * Keep legacy testInfo flags in sync with the lifecycle state
+ */
+const syncTestInfo = (sample, to, user, at) => {
+  switch (to) {
+    case 'FIELD_TESTED':
+      sample.testInfo.fieldTested = true;
+      sample.testInfo.fieldTestedAt = at;
+      break;
+    case 'LAB_TESTED':
+      // Amendments keep the original tester (see sample.amendment)
+      if (!sample.testInfo.labTested) {
+        sample.testInfo.labTested = true;
+        sample.testInfo.labTestedBy = user ? user._id : null;
+        sample.testInfo.labTestedAt = at;
+      }
+      break;
+    case 'PUBLISHED':
+      sample.testInfo.published = true;
+      if (!sample.testInfo.publishedAt) {
+        sample.testInfo.publishedAt = at;
+      }
+      sample.publishedRevision = sample.revision;
+      break;
+  }
+};
+
+/**
+ * Apply a transition to a sample (does NOT save)
+ * Throws an error with statusCode if the transition is not allowed
+ */
+const applyTransition = (sample, action, { user, reason = null, at = new Date() } = {}) => {
+  const error = checkTransition(sample, action, user);
+  if (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode;
+    throw err;
+  }
+
+  const from = sample.lifecycleStatus;
+  const { to } = TRANSITIONS[action];
+
+  sample.lifecycleStatus = to;
+  sample.statusHistory.push({
+    from,
+    to,
+    action,
+    actor: user ? user._id : null,
+    timestamp: at,
+    reason
+  });
+
+  syncTestInfo(sample, to, user, at);
+
+  return sample;
+};
+
+/**
+ * Record the initial COLLECTED state for a newly created sample
+ */
+const initializeLifecycle = (sample, { user, at = new Date() } = {}) => {
+  sample.lifecycleStatus = 'COLLECTED';
+  sample.statusHistory = [{
+    from: null,
+    to: 'COLLECTED',
+    action: 'COLLECT',
+    actor: user ? user._id : null,
+    timestamp: at,
+    reason: null
+  }];
+  return sample;
+};
+
+/**
+ * Derive lifecycle status from legacy testInfo flags
+ * Used to backfill samples created before lifecycleStatus existed
+ */
+const deriveLifecycleStatus = (sample) => {
+  const testInfo = sample.testInfo || {};
+  if (testInfo.published && sample.isDeleted) return 'ARCHIVED';
+  if (testInfo.published) return 'PUBLISHED';
+  if (testInfo.labTested) return 'LAB_TESTED';
+  if (testInfo.fieldTested) return 'FIELD_TESTED';
+  return 'COLLECTED';
+};
+
+module.exports = {
+  TRANSITIONS,
+  PRE_LAB_STATUSES,
+  RELEASED_STATUSES,
+  checkTransition,
+  applyTransition,
+  checkMetadataEdit,
+  initializeLifecycle,
+  deriveLifecycleStatus
+};
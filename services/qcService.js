@@ -0,0 +1,222 @@
+/**
+ * QC Service
+ * Evaluates lab QC samples (blanks, duplicates, spikes) after LAB results
+ *
+ * Acceptance rules (config.qcAcceptance):
+ * - DUPLICATE: relative percent difference vs parent <= duplicateMaxRpd
+ * - SPIKE: recovery % of the added amount within spikeRecoveryMin..Max
+ * - BLANK: MAX parameters below blankMaxFraction of the acceptable limit
+ *
+ * Censored results ('<' / '>' / ND) have no exact value:
+ * - duplicates skip them, spikes skip censored spiked results and
+ *   count a non-detected parent as 0
+ * - blanks compare the bound ('>' always fails)
+ *
+ * A QC sample with nothing to compare (no shared parameters, only censored
+ * values, a zero spike) is INCONCLUSIVE - it does not pass.
+ * A failed or inconclusive QC sample flags every real sample it controls
+ * (its parent sample, or all ROUTINE samples in its batch).
+ */
+
+const { Sample } = require('../models');
+const { qcAcceptance } = require('../config');
+
+// Numeric value of a parameter snapshot, null for ENUM/TEXT values
+const toNumber = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Numeric value of an uncensored result, null otherwise
+const toDetectedNumber = (param) => (param.qualifier ? null : toNumber(param.value));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Relative percent difference between two results
+ */
+const calculateRpd = (a, b) => {
+  const mean = (a + b) / 2;
+  return mean === 0 ? 0 : round((Math.abs(a - b) / mean) * 100);
+};
+
+/**
+ * Recovery % of a spike (unspiked = parent result, 0 for a lab control spike)
+ */
+const calculateRecovery = (spiked, unspiked, amount) => (
+  amount > 0 ? round(((spiked - unspiked) / amount) * 100) : null
+);
+
+const findParameter = (parameters, parameterRef) => (
+  parameters.find(p => p.parameterRef.toString() === parameterRef.toString())
+);
+
+const evaluateDuplicate = (qcSample, parent) => (
+  qcSample.parameters.reduce((results, param) => {
+    const parentParam = findParameter(parent.parameters, param.parameterRef);
+    const a = toDetectedNumber(param);
+    const b = parentParam ? toDetectedNumber(parentParam) : null;
+    if (a === null || b === null) return results;
+
+    const rpd = calculateRpd(a, b);
+    results.push({
+      code: param.code,
+      name: param.name,
+      rule: 'RPD',
+      value: rpd,
+      limit: { min: null, max: qcAcceptance.duplicateMaxRpd },
+      passed: rpd <= qcAcceptance.duplicateMaxRpd
+    });
+    return results;
+  }, [])
+);
+
+const evaluateSpike = (qcSample, parent) => (
+  qcSample.qc.spikes.reduce((results, spike) => {
+    const param = findParameter(qcSample.parameters, spike.parameterRef);
+    const spiked = param ? toDetectedNumber(param) : null;
+    if (spiked === null) return results;
+
+    // Parent below detection counts as 0, above a bound leaves recovery unknown
+    const parentParam = parent ? findParameter(parent.parameters, spike.parameterRef) : null;
+    if (parentParam?.qualifier === '>') return results;
+    const unspiked = parentParam ? (toDetectedNumber(parentParam) ?? 0) : 0;
+    const recovery = calculateRecovery(spiked, unspiked, spike.amount);
+    if (recovery === null) return results;
+    results.push({
+      code: param.code,
+      name: param.name,
+      rule: 'RECOVERY',
+      value: recovery,
+      limit: { min: qcAcceptance.spikeRecoveryMin, max: qcAcceptance.spikeRecoveryMax },
+      passed: recovery >= qcAcceptance.spikeRecoveryMin &&
+        recovery <= qcAcceptance.spikeRecoveryMax
+    });
+    return results;
+  }, [])
+);
+
+const evaluateBlank = (qcSample) => (
+  qcSample.parameters.reduce((results, param) => {
+    const value = toNumber(param.value);
+    const acceptableMax = param.acceptableLimit?.max ?? param.maxValue ?? null;
+    if (param.type !== 'MAX' || value === null || acceptableMax === null) return results;
+
+    const blankMax = round(acceptableMax * qcAcceptance.blankMaxFraction);
+    results.push({
+      code: param.code,
+      name: param.name,
+      rule: 'BLANK',
+      value,
+      limit: { min: null, max: blankMax },
+      qualifier: param.qualifier ?? null,
+      passed: param.qualifier !== '>' && value <= blankMax
+    });
+    return results;
+  }, [])
+);
+
+/**
+ * Evaluate a QC sample against its parent (does NOT save)
+ * Returns { status, evaluatedAt, results } - PENDING while parent results are missing,
+ * INCONCLUSIVE when no result could be evaluated
+ */
+const evaluateQcSample = (qcSample, parent, at = new Date()) => {
+  const { qcType } = qcSample.qc;
+  const needsParent = qcType === 'DUPLICATE' || (qcType === 'SPIKE' && qcSample.qc.parentSample);
+
+  if (needsParent && !parent?.testInfo?.labTested) {
+    return { status: 'PENDING', evaluatedAt: null, results: [] };
+  }
+
+  let results = [];
+  switch (qcType) {
+    case 'DUPLICATE':
+      results = evaluateDuplicate(qcSample, parent);
+      break;
+    case 'SPIKE':
+      results = evaluateSpike(qcSample, parent);
+      break;
+    case 'BLANK':
+      results = evaluateBlank(qcSample);
+      break;
+  }
+
+  let status = results.every(r => r.passed) ? 'PASSED' : 'FAILED';
+  if (results.length === 0) {
+    status = 'INCONCLUSIVE';
+  }
+
+  return { status, evaluatedAt: at, results };
+};
+
+/**
+ * Query for the real samples a QC sample controls
+ */
+const getControlledQuery = (qcSample) => {
+  if (qcSample.qc.parentSample) {
+    return { _id: qcSample.qc.parentSample, isDeleted: false };
+  }
+  return { batchId: qcSample.batchId, sampleType: { $ne: 'QC' }, isDeleted: false };
+};
+
+/**
+ * Evaluate and save one QC sample, flagging controlled samples on failure
+ * Returns { qcSample, evaluation, flaggedCount }
+ */
+const runQcEvaluation = async (qcSample, parent, at) => {
+  const evaluation = evaluateQcSample(qcSample, parent, at);
+  qcSample.qc.evaluation = evaluation;
+  await qcSample.save();
+
+  let flaggedCount = 0;
+  if (evaluation.status === 'FAILED' || evaluation.status === 'INCONCLUSIVE') {
+    const result = await Sample.updateMany(getControlledQuery(qcSample), {
+      $push: {
+        qcFlags: {
+          qcSample: qcSample._id,
+          qcSampleId: qcSample.sampleId,
+          qcType: qcSample.qc.qcType,
+          qcStatus: evaluation.status,
+          failedParameters: evaluation.results.filter(r => !r.passed).map(r => r.code),
+          flaggedAt: at
+        }
+      }
+    });
+    flaggedCount = result.modifiedCount;
+  }
+
+  return { qcSample, evaluation, flaggedCount };
+};
+
+/**
+ * Evaluate QC after LAB results were saved for a sample
+ * - QC sample: evaluate it against its parent
+ * - ROUTINE sample: evaluate QC samples that were waiting for its results
+ */
+const evaluateAfterLabTest = async (sample, at = new Date()) => {
+  if (sample.sampleType === 'QC') {
+    const parent = sample.qc.parentSample ? await Sample.findById(sample.qc.parentSample) : null;
+    return [await runQcEvaluation(sample, parent, at)];
+  }
+
+  const pendingQc = await Sample.find({
+    'qc.parentSample': sample._id,
+    'qc.evaluation.status': 'PENDING',
+    'testInfo.labTested': true,
+    isDeleted: false
+  });
+
+  const outcomes = [];
+  for (const qcSample of pendingQc) {
+    outcomes.push(await runQcEvaluation(qcSample, sample, at));
+  }
+  return outcomes;
+};
+
+module.exports = {
+  calculateRpd,
+  calculateRecovery,
+  evaluateQcSample,
+  evaluateAfterLabTest
+};
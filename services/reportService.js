@@ -1,5 +1,16 @@
 const PDFDocument = require('pdfkit');
 
+/**
+ * Reported value of a parameter snapshot
+ * Censored values: "ND", "<0.01", ">2000" - estimates below the quantitation limit get a dagger
+ */
+const formatValue = (param) => {
+  if (param.value === null || param.value === undefined) return 'N/A';
+  if (param.qualifier === 'ND') return 'ND';
+  if (param.qualifier) return `${param.qualifier}${param.value}`;
+  return String(param.value) + (param.belowQuantitation ? ' \u2020' : '');
+};
+
 /**
  * Generate PDF report for a sample
  * @param {Object} sample - Sample document with populated fields
@@ -18,6 +29,27 @@ const generateSampleReport = (sample) => {
 
   const pageWidth = doc.page.width - 100;
 
+  // Diagonal watermark on every page for withdrawn results
+  const addWithdrawnWatermark = () => {
+    const { x, y } = doc;
+    doc.save();
+    doc.rotate(-45, { origin: [doc.page.width / 2, doc.page.height / 2] })
+       .fillColor('#ef4444')
+       .opacity(0.15)
+       .fontSize(80)
+       .font('Helvetica-Bold')
+       .text('WITHDRAWN', 0, doc.page.height / 2 - 40, { align: 'center', width: doc.page.width, lineBreak: false });
+    doc.restore();
+    doc.font('Helvetica');
+    doc.x = x;
+    doc.y = y;
+  };
+
+  if (sample.lifecycleStatus === 'RETRACTED') {
+    addWithdrawnWatermark();
+    doc.on('pageAdded', addWithdrawnWatermark);
+  }
+
   // Colors
   const primaryColor = '#2E7D32';
   const grayColor = '#6b7280';
@@ -35,6 +67,28 @@ const generateSampleReport = (sample) => {
      .font('Helvetica')
      .text(`Report ID: ${sample.sampleId}`, { align: 'center' });
 
+  // Amended / superseded / withdrawn lab result
+  if (sample.lifecycleStatus === 'RETRACTED') {
+    doc.moveDown(0.3);
+    doc.fillColor('#ef4444')
+       .font('Helvetica-Bold')
+       .text('WITHDRAWN - these results have been retracted', { align: 'center' });
+    doc.font('Helvetica');
+  } else if (sample.isSuperseded) {
+    doc.moveDown(0.3);
+    doc.fillColor('#ef4444')
+       .font('Helvetica-Bold')
+       .text(`Superseded (rev ${sample.revision}) - not the current result`, { align: 'center' });
+    doc.font('Helvetica');
+  } else if (sample.revision > 0) {
+    doc.moveDown(0.3);
+    doc.fillColor('#f59e0b')
+       .font('Helvetica-Bold')
+       .text(`Amended (rev ${sample.revision})`, { align: 'center' });
+    doc.font('Helvetica');
+  }
+  doc.fillColor(grayColor);
+
   doc.moveDown(0.3);
   doc.fontSize(10)
      .text(`Generated on: ${new Date().toLocaleDateString('en-IN', {
@@ -99,10 +153,28 @@ const generateSampleReport = (sample) => {
 
   if (sample.testInfo?.labTestedAt) {
     infoItems.push({ label: 'Lab Tested Date', value: new Date(sample.testInfo.labTestedAt).toLocaleDateString('en-IN') });
+    infoItems.push({ label: 'Lab Tested By', value: sample.testInfo.labTestedBy?.name || 'N/A' });
+  }
+  if (sample.review) {
+    infoItems.push({
+      label: 'Reviewed By',
+      value: `${sample.review.reviewedBy?.name || 'N/A'} (${new Date(sample.review.reviewedAt).toLocaleDateString('en-IN')})`
+    });
+    if (sample.review.comments) {
+      infoItems.push({ label: 'Review Comments', value: sample.review.comments });
+    }
   }
   if (sample.testInfo?.publishedAt) {
     infoItems.push({ label: 'Published Date', value: new Date(sample.testInfo.publishedAt).toLocaleDateString('en-IN') });
   }
+  if (sample.amendment) {
+    infoItems.push({ label: 'Amended Date', value: new Date(sample.amendment.amendedAt).toLocaleDateString('en-IN') });
+    infoItems.push({ label: 'Amendment Reason', value: sample.amendment.justification });
+  }
+  if (sample.retraction) {
+    infoItems.push({ label: 'Retracted Date', value: new Date(sample.retraction.retractedAt).toLocaleDateString('en-IN') });
+    infoItems.push({ label: 'Retraction Reason', value: sample.retraction.reason });
+  }
 
   doc.font('Helvetica').fontSize(11);
   infoItems.forEach(item => {
@@ -191,9 +263,10 @@ const generateSampleReport = (sample) => {
       doc.text(param.name || param.code || 'N/A', xPos, yPos, { width: colWidths.param - 5 });
       xPos += colWidths.param;
 
-      // Value
+      // Value (marked when analysed after the max holding time)
+      const valueText = formatValue(param) + (param.holdingTimeExceeded ? ' *' : '');
       doc.font('Helvetica-Bold')
-         .text(String(param.value ?? 'N/A'), xPos, yPos, { width: colWidths.value });
+         .text(valueText, xPos, yPos, { width: colWidths.value });
       xPos += colWidths.value;
       doc.font('Helvetica');
 
@@ -230,6 +303,37 @@ const generateSampleReport = (sample) => {
     });
 
     doc.y = yPos + 10;
+
+    // Holding time footnote
+    const exceededParams = sample.parameters.filter(p => p.holdingTimeExceeded);
+    if (exceededParams.length > 0) {
+      doc.fillColor('#ef4444')
+         .fontSize(8)
+         .font('Helvetica')
+         .text(
+           `* Holding time exceeded: ${exceededParams.map(p => `${p.name || p.code} (${p.elapsedHoldingHours}h, max ${p.maxHoldingTimeHours}h)`).join('; ')}. Result may not be representative.`,
+           50,
+           doc.y,
+           { width: pageWidth }
+         );
+    }
+
+    // Censored / estimated values footnote
+    const limitParams = sample.parameters.filter(p => p.qualifier || p.belowQuantitation);
+    if (limitParams.length > 0) {
+      const limitsText = limitParams
+        .map(p => `${p.name || p.code} (LOD ${p.detectionLimit ?? '-'}, LOQ ${p.quantitationLimit ?? '-'})`)
+        .join('; ');
+      doc.fillColor(grayColor)
+         .fontSize(8)
+         .font('Helvetica')
+         .text(
+           `ND: not detected. <X / >X: below / above the reported value. \u2020 Below the limit of quantitation, estimated value. ${limitsText}.`,
+           50,
+           doc.y + 4,
+           { width: pageWidth }
+         );
+    }
   } else {
     doc.fillColor(grayColor)
        .fontSize(11)
@@ -3,7 +3,7 @@ const path = require('path');
 const fs = require('fs');
 const cloudinary = require('cloudinary').v2;
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
-const { uploadPath, maxFileSize, allowedFileTypes } = require('../config');
+const { uploadPath, maxFileSize, allowedFileTypes, allowedAttachmentTypes } = require('../config');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -29,6 +29,12 @@ const cloudinaryStorage = new CloudinaryStorage({
       folder = 'sample-management/samples';
     } else if (file.fieldname === 'locationImage') {
       folder = 'sample-management/locations';
+    } else if (file.fieldname === 'attachment') {
+      // Attachments keep their original size (printouts, certificates)
+      return {
+        folder: 'sample-management/attachments',
+        allowed_formats: ['jpg', 'jpeg', 'png', 'pdf']
+      };
     }
 
     return {
@@ -44,7 +50,8 @@ const ensureUploadDir = () => {
   const dirs = [
     uploadPath,
     path.join(uploadPath, 'samples'),
-    path.join(uploadPath, 'locations')
+    path.join(uploadPath, 'locations'),
+    path.join(uploadPath, 'attachments')
   ];
 
   dirs.forEach(dir => {
@@ -63,6 +70,8 @@ const localStorage = multer.diskStorage({
       uploadDir = path.join(uploadPath, 'samples');
     } else if (file.fieldname === 'locationImage') {
       uploadDir = path.join(uploadPath, 'locations');
+    } else if (file.fieldname === 'attachment') {
+      uploadDir = path.join(uploadPath, 'attachments');
     }
 
     cb(null, uploadDir);
@@ -99,6 +108,26 @@ const sampleUpload = upload.fields([
   { name: 'locationImage', maxCount: 1 }
 ]);
 
+// Attachment file filter - images and PDF
+const attachmentFileFilter = (req, file, cb) => {
+  if (allowedAttachmentTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    const error = new Error('Invalid file type. Only JPEG, JPG, PNG and PDF are allowed.');
+    error.statusCode = 400;
+    cb(error, false);
+  }
+};
+
+// Single sample attachment (field name: attachment)
+const attachmentUpload = multer({
+  storage,
+  fileFilter: attachmentFileFilter,
+  limits: {
+    fileSize: maxFileSize
+  }
+}).single('attachment');
+
 // Delete file from Cloudinary or local storage
 const deleteFile = async (fileUrl) => {
   if (!fileUrl) return;
@@ -134,8 +163,8 @@ const getFileUrl = (file) => {
 
   // Local storage - construct URL
   if (file.filename) {
-    const folder = file.fieldname === 'sampleImage' ? 'samples' : 'locations';
-    return `/uploads/${folder}/${file.filename}`;
+    const folders = { sampleImage: 'samples', locationImage: 'locations', attachment: 'attachments' };
+    return `/uploads/${folders[file.fieldname] || 'locations'}/${file.filename}`;
   }
 
   return null;
@@ -163,6 +192,7 @@ const processUploadedFiles = (files) => {
 module.exports = {
   upload,
   sampleUpload,
+  attachmentUpload,
   deleteFile,
   getFileUrl,
   processUploadedFiles,
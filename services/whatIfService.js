@@ -0,0 +1,130 @@
+/**
+ * What-if Service
+ * Re-evaluates recorded lab results against proposed limits (nothing is saved)
+ *
+ * A proposal targets one limit set, like submitLabTest resolves it:
+ * - a standard's limit set: samples tested against that standard
+ * - the ParameterMaster (baseline) limits: samples whose standard does not
+ *   list the parameter - results evaluated against another standard's
+ *   limits are skipped and counted
+ */
+
+const { Sample } = require('../models');
+
+/**
+ * Limit set from a proposal - values not proposed keep the current limits
+ * (null clears a limit, a missing min / max keeps it)
+ * standard: targeted standard (null = ParameterMaster limits)
+ */
+const buildProposedLimits = (paramMaster, proposal, standard = null) => {
+  const current = paramMaster.getLimits(standard);
+  const mergeLimit = (proposed, existing) => ({
+    min: proposed?.min !== undefined ? proposed.min : (existing?.min ?? null),
+    max: proposed?.max !== undefined ? proposed.max : (existing?.max ?? null)
+  });
+  return {
+    acceptableLimit: mergeLimit(proposal.acceptableLimit, current.acceptableLimit),
+    permissibleLimit: mergeLimit(proposal.permissibleLimit, current.permissibleLimit),
+    maxValue: proposal.acceptableLimit?.max !== undefined ? null : current.maxValue,
+    enumEvaluation: new Map([
+      ...(current.enumEvaluation || []),
+      ...Object.entries(proposal.enumEvaluation || {})
+    ]),
+    source: standard ? standard.code : current.source
+  };
+};
+
+/**
+ * Whether a sample's result for a parameter is evaluated against the targeted limit set
+ */
+const isTargeted = (sample, paramMaster, sampleStandard, standard) => {
+  if (standard) {
+    return Boolean(sample.standard) && sample.standard.toString() === standard._id.toString();
+  }
+  return !(sampleStandard && sampleStandard.getLimitEntry(paramMaster._id));
+};
+
+/**
+ * Re-evaluate samples (lean) against proposed limits
+ * - proposed: Map of parameter ID → { paramMaster, limits } (see buildProposedLimits)
+ * - standards: standards the samples reference
+ * - standard: targeted standard (null = ParameterMaster limits)
+ *
+ * Returns { totals, samples } with per-sample before / after statuses
+ */
+const evaluateWhatIf = (samples, proposed, { standards = [], standard = null } = {}) => {
+  const emptyCounts = () => ({ ACCEPTABLE: 0, PERMISSIBLE: 0, NOT_ACCEPTABLE: 0 });
+  const totals = {
+    samplesEvaluated: samples.length,
+    overallChanged: 0,
+    parameterResultsChanged: 0,
+    // Results evaluated against another limit set than the proposal's
+    parameterResultsSkipped: 0,
+    overallBefore: emptyCounts(),
+    overallAfter: emptyCounts(),
+    transitions: {}
+  };
+
+  const results = samples.map(sample => {
+    const sampleStandard = sample.standard
+      ? standards.find(st => st._id.toString() === sample.standard.toString()) || null
+      : null;
+
+    const parameterChanges = [];
+    const parameters = sample.parameters.map(param => {
+      const proposal = proposed.get(param.parameterRef.toString());
+      if (!proposal) return param;
+      if (!isTargeted(sample, proposal.paramMaster, sampleStandard, standard)) {
+        totals.parameterResultsSkipped += 1;
+        return param;
+      }
+
+      let status = param.status;
+      try {
+        status = proposal.paramMaster.calculateStatus(param.value, proposal.limits, param.qualifier);
+      } catch {
+        // Invalid stored value (e.g. retired ENUM option) - keep the recorded status
+      }
+
+      parameterChanges.push({
+        code: param.code,
+        value: param.value,
+        qualifier: param.qualifier ?? null,
+        before: param.status,
+        after: status,
+        changed: status !== param.status
+      });
+      return { ...param, status };
+    });
+
+    const overallAfter = Sample.calculateOverallStatus(parameters);
+    const changed = overallAfter !== sample.overallStatus;
+
+    totals.overallBefore[sample.overallStatus] += 1;
+    totals.overallAfter[overallAfter] += 1;
+    totals.parameterResultsChanged += parameterChanges.filter(p => p.changed).length;
+    if (changed) {
+      totals.overallChanged += 1;
+      const transition = `${sample.overallStatus} → ${overallAfter}`;
+      totals.transitions[transition] = (totals.transitions[transition] || 0) + 1;
+    }
+
+    return {
+      id: sample._id,
+      sampleId: sample.sampleId,
+      title: sample.title,
+      lifecycleStatus: sample.lifecycleStatus,
+      standardVersion: sample.standardVersion,
+      overallStatus: { before: sample.overallStatus, after: overallAfter },
+      changed,
+      parameters: parameterChanges
+    };
+  });
+
+  return { totals, samples: results };
+};
+
+module.exports = {
+  buildProposedLimits,
+  evaluateWhatIf
+};
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Campaign } = require('../models');
+
+const makeCampaign = () => new Campaign({
+  name: 'March round',
+  startDate: new Date('2026-03-01'),
+  endDate: new Date('2026-03-31'),
+  createdBy: new mongoose.Types.ObjectId(),
+  visits: [
+    // Defaulted to the end date
+    { label: 'Well 1', dueDate: new Date('2026-03-31') },
+    { label: 'Well 2', dueDate: new Date('2026-03-15') },
+    // Completed - no longer scheduled
+    { label: 'Well 3', dueDate: new Date('2026-03-31'), sample: new mongoose.Types.ObjectId() }
+  ]
+});
+
+test('open visits due on the old end date move with it', async () => {
+  const campaign = makeCampaign();
+  campaign.endDate = new Date('2026-04-30');
+
+  assert.strictEqual(campaign.moveDefaultDueDates(new Date('2026-03-31')), 1);
+  assert.deepStrictEqual(
+    campaign.visits.map(v => v.dueDate.toISOString().slice(0, 10)),
+    ['2026-04-30', '2026-03-15', '2026-03-31']
+  );
+  await campaign.validate();
+});
+
+test('campaign dates that leave open visits outside the window are rejected', async () => {
+  const campaign = makeCampaign();
+  campaign.startDate = new Date('2026-03-20');
+
+  await assert.rejects(campaign.validate(), {
+    name: 'ValidationError',
+    message: /1 open visit\(s\) are due outside the campaign dates/
+  });
+});
+
+test('an unchanged end date moves nothing', () => {
+  const campaign = makeCampaign();
+  assert.strictEqual(campaign.moveDefaultDueDates(campaign.endDate), 0);
+});
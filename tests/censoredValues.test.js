@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ParameterMaster } = require('../models');
+
+// MAX analyte: acceptable ≤ 45, permissible ≤ 100, LOD 0.5, LOQ 1
+const nitrate = new ParameterMaster({
+  code: 'NO3',
+  name: 'Nitrate',
+  unit: 'mg/L',
+  type: 'MAX',
+  testLocation: 'LAB',
+  acceptableLimit: { min: null, max: 45 },
+  permissibleLimit: { min: null, max: 100 },
+  physicalLimit: { min: 0, max: 1000 },
+  detectionLimit: 0.5,
+  quantitationLimit: 1
+});
+
+// RANGE parameter: acceptable 6.5 - 8.5, permissible 6 - 9
+const ph = new ParameterMaster({
+  code: 'PH',
+  name: 'pH',
+  unit: '',
+  type: 'RANGE',
+  testLocation: 'FIELD',
+  acceptableLimit: { min: 6.5, max: 8.5 },
+  permissibleLimit: { min: 6, max: 9 },
+  physicalLimit: { min: 0, max: 14 }
+});
+
+// Parse a submitted value and rate it, like submitLabTest does
+const rate = (param, submitted) => {
+  const parsed = param.parseSubmittedValue(submitted);
+  assert.strictEqual(parsed.error, null);
+  return { ...parsed, status: param.calculateStatus(parsed.value, param.getLimits(), parsed.qualifier) };
+};
+
+test('uncensored MAX values at the limit boundaries', () => {
+  assert.strictEqual(rate(nitrate, '45').status, 'ACCEPTABLE');
+  assert.strictEqual(rate(nitrate, '45.01').status, 'PERMISSIBLE');
+  assert.strictEqual(rate(nitrate, '100').status, 'PERMISSIBLE');
+  assert.strictEqual(rate(nitrate, '100.01').status, 'NOT_ACCEPTABLE');
+});
+
+test('"<bound" is rated at the bound', () => {
+  const atLimit = rate(nitrate, '<45');
+  assert.deepStrictEqual([atLimit.value, atLimit.qualifier, atLimit.status], [45, '<', 'ACCEPTABLE']);
+
+  assert.strictEqual(rate(nitrate, '<45.01').status, 'PERMISSIBLE');
+  assert.strictEqual(rate(nitrate, '< 100').status, 'PERMISSIBLE');
+  assert.strictEqual(rate(nitrate, '<100.01').status, 'NOT_ACCEPTABLE');
+});
+
+test('"<bound" below the detection limit is reported as "<detection limit"', () => {
+  const result = rate(nitrate, '<0.01');
+  assert.deepStrictEqual([result.value, result.qualifier, result.status], [0.5, '<', 'ACCEPTABLE']);
+});
+
+test('">bound" is rated at the physical maximum', () => {
+  const belowLimit = rate(nitrate, '>10');
+  assert.deepStrictEqual([belowLimit.value, belowLimit.qualifier], [10, '>']);
+  assert.deepStrictEqual(nitrate.getCensoredInterval(10, '>'), [10, 1000]);
+  assert.strictEqual(belowLimit.status, 'NOT_ACCEPTABLE');
+
+  // Without a physical maximum the value is unbounded
+  const unbounded = new ParameterMaster({ ...nitrate.toObject(), _id: undefined, physicalLimit: { min: 0, max: null } });
+  assert.strictEqual(unbounded.calculateStatus(10, unbounded.getLimits(), '>'), 'NOT_ACCEPTABLE');
+});
+
+test('"ND" is stored at the detection limit and needs one', () => {
+  const result = rate(nitrate, 'nd');
+  assert.deepStrictEqual([result.value, result.qualifier, result.status], [0.5, 'ND', 'ACCEPTABLE']);
+
+  assert.match(ph.parseSubmittedValue('ND').error, /requires a detection limit/);
+});
+
+test('detected values below the detection limit become "<detection limit"', () => {
+  const result = rate(nitrate, 0.3);
+  assert.deepStrictEqual([result.value, result.qualifier, result.belowQuantitation], [0.5, '<', false]);
+
+  const atLod = rate(nitrate, 0.5);
+  assert.deepStrictEqual([atLod.value, atLod.qualifier, atLod.belowQuantitation], [0.5, null, true]);
+});
+
+test('values between detection and quantitation limits are flagged as estimates', () => {
+  const estimate = rate(nitrate, 0.7);
+  assert.deepStrictEqual([estimate.value, estimate.qualifier, estimate.belowQuantitation], [0.7, null, true]);
+  assert.strictEqual(estimate.status, 'ACCEPTABLE');
+
+  assert.strictEqual(rate(nitrate, 1).belowQuantitation, false);
+});
+
+test('censored RANGE values get the worst status over their possible values', () => {
+  assert.strictEqual(rate(ph, '7.5').status, 'ACCEPTABLE');
+  assert.strictEqual(rate(ph, '8.5').status, 'ACCEPTABLE');
+  assert.strictEqual(rate(ph, '9').status, 'PERMISSIBLE');
+
+  // "<7" may be anything down to the physical minimum 0
+  assert.deepStrictEqual(ph.getCensoredInterval(7, '<'), [0, 7]);
+  assert.strictEqual(rate(ph, '<7').status, 'NOT_ACCEPTABLE');
+  // ">8.5" may be anything up to the physical maximum 14
+  assert.strictEqual(rate(ph, '>8.5').status, 'NOT_ACCEPTABLE');
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { ParameterMaster, Sample } = require('../models');
+
+// LAB analyte that must be analysed within 24 h
+const coliform = new ParameterMaster({
+  code: 'COLIFORM',
+  name: 'Total Coliform',
+  unit: 'MPN/100mL',
+  type: 'MAX',
+  testLocation: 'LAB',
+  acceptableLimit: { min: null, max: 0 },
+  maxHoldingTimeHours: 24,
+  holdingTimeAction: 'FLAG'
+});
+
+const collectedAt = new Date('2026-03-01T08:00:00Z');
+const hoursAfterCollection = (hours) => new Date(collectedAt.getTime() + hours * 60 * 60 * 1000);
+
+const makeSample = (custodyLog) => new Sample({
+  title: 'Well 1',
+  location: { type: 'Point', coordinates: [77.6, 12.9] },
+  collectedBy: new mongoose.Types.ObjectId(),
+  collectedAt,
+  custodyLog
+});
+
+// Results keyed in three days after collection
+const keyedInAt = hoursAfterCollection(72);
+
+test('holding time ends at lab receipt, not when results are keyed in', () => {
+  const sample = makeSample([
+    { event: 'COLLECTED', person: 'Collector', timestamp: collectedAt },
+    { event: 'LAB_RECEIVED', person: 'Lab', timestamp: hoursAfterCollection(6) }
+  ]);
+
+  const analysedAt = sample.getAnalysisTime(null, keyedInAt);
+  assert.deepStrictEqual(analysedAt, hoursAfterCollection(6));
+  assert.deepStrictEqual(coliform.checkHoldingTime(sample.collectedAt, analysedAt), { elapsedHours: 6, exceeded: false });
+});
+
+test('an explicit analysis time takes precedence over lab receipt', () => {
+  const sample = makeSample([
+    { event: 'LAB_RECEIVED', person: 'Lab', timestamp: hoursAfterCollection(6) }
+  ]);
+
+  const analysedAt = sample.getAnalysisTime(hoursAfterCollection(30).toISOString(), keyedInAt);
+  assert.deepStrictEqual(coliform.checkHoldingTime(sample.collectedAt, analysedAt), { elapsedHours: 30, exceeded: true });
+});
+
+test('without lab receipt or analysis time the holding time runs until submission', () => {
+  const sample = makeSample([]);
+  const analysedAt = sample.getAnalysisTime(null, keyedInAt);
+  assert.deepStrictEqual(coliform.checkHoldingTime(sample.collectedAt, analysedAt), { elapsedHours: 72, exceeded: true });
+});
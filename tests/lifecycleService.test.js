@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Sample } = require('../models');
+const { lifecycleStatuses, userRoles } = require('../config');
+const { TRANSITIONS, checkTransition, applyTransition } = require('../services/lifecycleService');
+
+const user = (role) => ({ _id: new mongoose.Types.ObjectId(), role });
+const admin = user('ADMIN');
+const tester = user('LAB_ANALYST');
+
+const fieldParameter = {
+  parameterRef: new mongoose.Types.ObjectId(),
+  code: 'PH',
+  name: 'pH',
+  type: 'RANGE',
+  testLocation: 'FIELD',
+  value: 7
+};
+
+const custody = (event) => ({ event, person: 'Collector', timestamp: new Date() });
+
+const makeSample = (lifecycleStatus, fields = {}) => new Sample({
+  title: 'Well 1',
+  location: { type: 'Point', coordinates: [77.6, 12.9] },
+  collectedBy: new mongoose.Types.ObjectId(),
+  lifecycleStatus,
+  ...fields
+});
+
+test('each transition is only allowed from its from-states', () => {
+  for (const [action, transition] of Object.entries(TRANSITIONS)) {
+    for (const status of lifecycleStatuses) {
+      const error = checkTransition(makeSample(status), action, user(transition.roles[0]));
+      const rejectedByState = error?.message === `Cannot ${action} a sample in ${status} status (expected ${transition.from.join(' or ')})`;
+      assert.strictEqual(rejectedByState, !transition.from.includes(status), `${action} from ${status}`);
+    }
+  }
+});
+
+test('each transition is only allowed for its roles', () => {
+  for (const [action, transition] of Object.entries(TRANSITIONS)) {
+    for (const role of userRoles) {
+      const error = checkTransition(makeSample(transition.from[0]), action, user(role));
+      const forbidden = error?.statusCode === 403;
+      assert.strictEqual(forbidden, !transition.roles.includes(role), `${action} by ${role}`);
+      if (forbidden) {
+        assert.strictEqual(error.message, `Role ${role} is not allowed to perform ${action}`);
+      }
+    }
+  }
+});
+
+test('unknown actions and deleted samples are rejected', () => {
+  assert.deepStrictEqual(checkTransition(makeSample('COLLECTED'), 'TELEPORT', admin), {
+    message: 'Unknown lifecycle action: TELEPORT',
+    statusCode: 400
+  });
+  assert.deepStrictEqual(checkTransition(makeSample('PUBLISHED', { isDeleted: true }), 'ARCHIVE', admin), {
+    message: 'Cannot change the status of a deleted sample',
+    statusCode: 400
+  });
+});
+
+const reviewed = { review: { reviewedBy: admin._id } };
+const labTestedBy = (person) => ({ testInfo: { labTested: true, labTestedBy: person._id } });
+
+const guardCases = [
+  ['FIELD_TEST', 'COLLECTED', {}, admin, 'FIELD parameters are required for field test'],
+  ['FIELD_TEST', 'COLLECTED', { parameters: [fieldParameter] }, admin, null],
+  ['FIELD_TEST', 'REJECTED', { parameters: [fieldParameter], rejection: { reason: 'Bottle leaked', resolution: 'RECOLLECT', rejectedBy: admin._id } },
+    admin, 'Rejected sample must be re-collected, not re-tested'],
+  ['FIELD_TEST', 'REJECTED', { parameters: [fieldParameter], rejection: { reason: 'Meter drift', resolution: 'RETEST_FIELD', rejectedBy: admin._id } },
+    admin, null],
+  ['REJECT', 'FIELD_TESTED', {}, admin, 'Rejection reason is required'],
+  ['REJECT', 'FIELD_TESTED', { rejection: { reason: 'Bottle leaked', resolution: 'RECOLLECT', rejectedBy: admin._id } }, admin, null],
+  ['RECOLLECT', 'REJECTED', { rejection: { reason: 'Meter drift', resolution: 'RETEST_FIELD', rejectedBy: admin._id } },
+    admin, 'Rejected sample must be re-tested, not re-collected'],
+  ['RECOLLECT', 'REJECTED', { rejection: { reason: 'Bottle leaked', resolution: 'RECOLLECT', rejectedBy: admin._id } }, admin, null],
+  ['LAB_TEST', 'COLLECTED', {}, tester, 'FIELD test must be completed before LAB test'],
+  ['LAB_TEST', 'COLLECTED', { sampleType: 'QC' }, tester, null],
+  ['LAB_TEST', 'FIELD_TESTED', { custodyLog: [custody('COLLECTED'), custody('DISPATCHED')] },
+    tester, 'Lab receipt must be recorded (chain of custody) before LAB test'],
+  ['LAB_TEST', 'FIELD_TESTED', { custodyLog: [custody('COLLECTED'), custody('DISPATCHED'), custody('LAB_RECEIVED')] }, tester, null],
+  // Collected before chain of custody existed
+  ['LAB_TEST', 'FIELD_TESTED', { custodyLog: [] }, tester, null],
+  ['PUBLISH', 'LAB_TESTED', { sampleType: 'QC', overallStatus: 'ACCEPTABLE', ...reviewed }, admin, 'QC samples cannot be published'],
+  ['PUBLISH', 'LAB_TESTED', { ...reviewed }, admin, 'Sample has no overall status calculated'],
+  ['PUBLISH', 'LAB_TESTED', { overallStatus: 'ACCEPTABLE', ...labTestedBy(admin), ...reviewed },
+    admin, 'Results must be published by someone other than the lab tester'],
+  ['PUBLISH', 'LAB_TESTED', {
+    overallStatus: 'ACCEPTABLE',
+    ...labTestedBy(tester),
+    amendment: { justification: 'Typo', amendedBy: admin._id },
+    ...reviewed
+  }, admin, 'Results must be published by someone other than the lab tester'],
+  // Amended since the last publication - the amender is an author until republished
+  ['PUBLISH', 'LAB_TESTED', {
+    overallStatus: 'ACCEPTABLE',
+    ...labTestedBy(tester),
+    revision: 2,
+    publishedRevision: 0,
+    revisions: [{ revision: 1, justification: 'Typo', recordedBy: admin._id }],
+    ...reviewed
+  }, admin, 'Results must be published by someone other than the lab tester'],
+  ['PUBLISH', 'LAB_TESTED', { overallStatus: 'ACCEPTABLE', ...labTestedBy(tester) }, admin, 'Lab results must be reviewed before publishing'],
+  ['PUBLISH', 'LAB_TESTED', { overallStatus: 'ACCEPTABLE', ...labTestedBy(tester), ...reviewed }, admin, null],
+  ['RETRACT', 'PUBLISHED', {}, admin, 'Public retraction reason is required'],
+  ['RETRACT', 'PUBLISHED', { retraction: { reason: 'Wrong site', retractedBy: admin._id } }, admin, null]
+];
+
+test('transition guards', () => {
+  for (const [action, status, fields, actor, message] of guardCases) {
+    const error = checkTransition(makeSample(status, fields), action, actor);
+    assert.deepStrictEqual(error, message ? { message, statusCode: 400 } : null, `${action} from ${status}: ${message}`);
+  }
+});
+
+test('applyTransition records the change or throws with a status code', () => {
+  const sample = makeSample('FIELD_TESTED', { custodyLog: [custody('LAB_RECEIVED')] });
+  const at = new Date('2026-03-01T10:00:00Z');
+  applyTransition(sample, 'LAB_TEST', { user: tester, at });
+
+  assert.strictEqual(sample.lifecycleStatus, 'LAB_TESTED');
+  const entry = sample.statusHistory[sample.statusHistory.length - 1];
+  assert.deepStrictEqual(
+    [entry.from, entry.to, entry.action, entry.actor.toString(), entry.timestamp.getTime()],
+    ['FIELD_TESTED', 'LAB_TESTED', 'LAB_TEST', tester._id.toString(), at.getTime()]
+  );
+  assert.strictEqual(sample.testInfo.labTestedBy.toString(), tester._id.toString());
+
+  assert.throws(
+    () => applyTransition(sample, 'LAB_TEST', { user: tester }),
+    { message: 'Cannot LAB_TEST a sample in LAB_TESTED status (expected COLLECTED or FIELD_TESTED)', statusCode: 400 }
+  );
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { qcAcceptance } = require('../config');
+const { calculateRpd, calculateRecovery, evaluateQcSample } = require('../services/qcService');
+
+const param = (code, value, extra = {}) => ({
+  parameterRef: code,
+  code,
+  name: code,
+  type: 'MAX',
+  value,
+  qualifier: null,
+  ...extra
+});
+
+const parent = (parameters) => ({ testInfo: { labTested: true }, parameters });
+
+const qcSample = (qcType, parameters, qc = {}) => ({
+  qc: { qcType, parentSample: 'parent', spikes: [], ...qc },
+  parameters
+});
+
+test('RPD at the duplicate limit passes, above it fails', () => {
+  // |120 - 100| / 110 = 18.18 %, |122.22 - 100| / 111.11 = 20 %
+  assert.strictEqual(calculateRpd(120, 100), 18.18);
+  assert.strictEqual(calculateRpd(0, 0), 0);
+
+  const atLimit = evaluateQcSample(
+    qcSample('DUPLICATE', [param('TDS', 122.2222)]),
+    parent([param('TDS', 100)])
+  );
+  assert.strictEqual(atLimit.results[0].value, qcAcceptance.duplicateMaxRpd);
+  assert.strictEqual(atLimit.status, 'PASSED');
+
+  const aboveLimit = evaluateQcSample(
+    qcSample('DUPLICATE', [param('TDS', 125)]),
+    parent([param('TDS', 100)])
+  );
+  assert.strictEqual(aboveLimit.status, 'FAILED');
+});
+
+test('recovery of a zero spike is unknown', () => {
+  assert.strictEqual(calculateRecovery(10, 0, 0), null);
+  assert.strictEqual(calculateRecovery(15, 5, 10), 100);
+});
+
+test('a blank above the detection limit fails, a blank below it passes', () => {
+  // acceptable max 1 → blank max 0.1
+  const blankParam = (value, qualifier = null) => param('FLUORIDE', value, {
+    qualifier,
+    acceptableLimit: { min: null, max: 1 },
+    detectionLimit: 0.05
+  });
+
+  const detected = evaluateQcSample(qcSample('BLANK', [blankParam(0.2)], { parentSample: null }), null);
+  assert.strictEqual(detected.status, 'FAILED');
+  assert.deepStrictEqual(detected.results[0].limit, { min: null, max: 0.1 });
+
+  const notDetected = evaluateQcSample(qcSample('BLANK', [blankParam(0.05, 'ND')], { parentSample: null }), null);
+  assert.strictEqual(notDetected.status, 'PASSED');
+});
+
+test('a QC sample with nothing to compare is inconclusive, not passed', () => {
+  const noSharedParameters = evaluateQcSample(
+    qcSample('DUPLICATE', [param('TDS', 100)]),
+    parent([param('NITRATE', 10)])
+  );
+  assert.strictEqual(noSharedParameters.status, 'INCONCLUSIVE');
+
+  const onlyCensored = evaluateQcSample(
+    qcSample('DUPLICATE', [param('TDS', 1, { qualifier: 'ND' })]),
+    parent([param('TDS', 1, { qualifier: '<' })])
+  );
+  assert.strictEqual(onlyCensored.status, 'INCONCLUSIVE');
+
+  const zeroSpike = evaluateQcSample(
+    qcSample('SPIKE', [param('TDS', 100)], { parentSample: null, spikes: [{ parameterRef: 'TDS', amount: 0 }] }),
+    null
+  );
+  assert.strictEqual(zeroSpike.status, 'INCONCLUSIVE');
+  assert.deepStrictEqual(zeroSpike.results, []);
+});
+
+test('QC waiting for parent results is pending', () => {
+  const pending = evaluateQcSample(qcSample('DUPLICATE', [param('TDS', 100)]), { testInfo: {}, parameters: [] });
+  assert.strictEqual(pending.status, 'PENDING');
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ParameterMaster, Standard, StandardVersion } = require('../models');
+const { parameters } = require('../utils/seedParameters');
+
+const tds = new ParameterMaster(parameters.find(p => p.code === 'TDS'));
+
+const who = new Standard({
+  code: 'WHO',
+  name: 'WHO',
+  limits: [{ parameter: tds._id, acceptableLimit: { min: null, max: 600 }, permissibleLimit: { min: null, max: 1000 } }]
+});
+
+// v1 from creation, v2 tightens TDS from 1 June
+const versions = [
+  new StandardVersion({
+    standard: who._id,
+    version: 1,
+    effectiveFrom: new Date('2026-01-01'),
+    reason: 'Standard created',
+    limits: who.toJSON().limits
+  }),
+  new StandardVersion({
+    standard: who._id,
+    version: 2,
+    effectiveFrom: new Date('2026-06-01'),
+    reason: 'TDS tightened',
+    limits: [{ parameter: tds._id, acceptableLimit: { min: null, max: 300 }, permissibleLimit: { min: null, max: 500 } }]
+  })
+];
+
+const statusAt = (collectedAt, value) => {
+  const standard = StandardVersion.selectEffective(versions, collectedAt).toStandard(who);
+  return tds.calculateStatus(value, tds.getLimits(standard));
+};
+
+test('a sample collected before a standard change keeps the older limits', () => {
+  assert.strictEqual(statusAt(new Date('2026-05-31'), 450), 'ACCEPTABLE');
+  assert.strictEqual(statusAt(new Date('2026-06-01'), 450), 'PERMISSIBLE');
+});
+
+test('a sample collected before the first version uses the earliest limit set', () => {
+  const standard = StandardVersion.selectEffective(versions, new Date('2025-01-01')).toStandard(who);
+  assert.strictEqual(standard.$locals.version, 1);
+  assert.strictEqual(tds.getLimits(standard).source, 'WHO');
+  assert.strictEqual(tds.getLimits(standard).acceptableLimit.max, 600);
+});
+
+test('unversioned standards have no effective version', () => {
+  assert.strictEqual(StandardVersion.selectEffective([], new Date()), null);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ParameterMaster, ParameterVersion } = require('../models');
+const { parameters } = require('../utils/seedParameters');
+
+// Seeded temperature: °C, accepts °F
+const temperature = new ParameterMaster(parameters.find(p => p.code === 'TEMPERATURE'));
+
+test('the canonical unit keeps the submitted value', () => {
+  assert.deepStrictEqual(temperature.convertToCanonical('25', '°C'), { value: '25', rawValue: '25', rawUnit: '°C', error: null });
+  // Unit matching ignores case and whitespace
+  assert.strictEqual(temperature.convertToCanonical('25', ' °c ').error, null);
+  assert.strictEqual(temperature.convertToCanonical('25').rawUnit, '°C');
+});
+
+test('a registered unit is converted to the canonical unit', () => {
+  const result = temperature.convertToCanonical('77', '°F');
+  assert.deepStrictEqual(result, { value: 25, rawValue: '77', rawUnit: '°F', error: null });
+  assert.match(temperature.convertToCanonical('warm', '°F').error, /must be a valid number/);
+});
+
+test('an unknown unit is rejected', () => {
+  const result = temperature.convertToCanonical('300', 'K');
+  assert.strictEqual(result.value, '300');
+  assert.match(result.error, /Unit "K" not supported\. Must be one of: °C, °F/);
+});
+
+test('older samples convert with units added after their parameter version', () => {
+  const tds = new ParameterMaster({ ...parameters.find(p => p.code === 'TDS'), unitConversions: [] });
+  const version = new ParameterVersion({
+    parameter: tds._id,
+    version: 1,
+    effectiveFrom: new Date('2026-01-01'),
+    reason: 'Baseline',
+    definition: tds.toJSON()
+  });
+
+  // ppm accepted from now on - the version recorded before keeps its limits
+  tds.unitConversions = [{ unit: 'ppm', factor: 1 }];
+  const effective = version.toParameter(tds);
+  assert.strictEqual(effective.$locals.version, 1);
+  assert.deepStrictEqual(effective.convertToCanonical('300', 'ppm'), { value: 300, rawValue: '300', rawUnit: 'ppm', error: null });
+
+  // Without the current definition the version only knows its own units
+  assert.match(version.toParameter().convertToCanonical('300', 'ppm').error, /not supported/);
+
+  // A changed canonical unit keeps the version's conversions
+  const regrammed = new ParameterMaster({ ...tds.toObject(), unit: 'g/L' });
+  assert.match(version.toParameter(regrammed).convertToCanonical('300', 'ppm').error, /not supported/);
+});
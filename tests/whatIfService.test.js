@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ParameterMaster, Standard } = require('../models');
+const { parameters, generateLabParameters } = require('../utils/seedParameters');
+const { buildProposedLimits, evaluateWhatIf } = require('../services/whatIfService');
+
+// Seeded LAB parameters and a seeded sample tested against the default standard
+const labParams = parameters
+  .filter(p => p.testLocation === 'LAB')
+  .map(p => new ParameterMaster(p));
+const tds = labParams.find(p => p.code === 'TDS');
+const baseline = new Standard({ code: 'IS10500-2012', name: 'IS 10500:2012', isDefault: true });
+
+const seededSample = (standard) => ({
+  _id: 'sample',
+  sampleId: 'WQ-TEST',
+  standard: standard._id,
+  standardVersion: standard.code,
+  overallStatus: 'ACCEPTABLE',
+  // sampleIndex 0: every value at half its acceptable limit
+  parameters: generateLabParameters(labParams, 0)
+});
+
+const propose = (proposal, standard = null) => new Map([
+  [tds._id.toString(), { paramMaster: tds, limits: buildProposedLimits(tds, proposal, standard) }]
+]);
+
+test('tightening a seeded limit changes a seeded sample result', () => {
+  const sample = seededSample(baseline);
+  assert.strictEqual(sample.parameters.find(p => p.code === 'TDS').value, 250);
+
+  const { totals, samples } = evaluateWhatIf([sample], propose({ acceptableLimit: { max: 200 } }), {
+    standards: [baseline]
+  });
+
+  assert.strictEqual(totals.overallChanged, 1);
+  assert.strictEqual(totals.parameterResultsChanged, 1);
+  assert.strictEqual(totals.parameterResultsSkipped, 0);
+  assert.deepStrictEqual(samples[0].overallStatus, { before: 'ACCEPTABLE', after: 'PERMISSIBLE' });
+  assert.deepStrictEqual(
+    samples[0].parameters.map(p => [p.code, p.before, p.after]),
+    [['TDS', 'ACCEPTABLE', 'PERMISSIBLE']]
+  );
+});
+
+test('results evaluated against another standard are skipped unless it is targeted', () => {
+  const who = new Standard({
+    code: 'WHO',
+    name: 'WHO',
+    limits: [{ parameter: tds._id, acceptableLimit: { min: null, max: 1000 }, permissibleLimit: { min: null, max: 2000 } }]
+  });
+  const sample = seededSample(who);
+
+  const parameterLimits = evaluateWhatIf([sample], propose({ acceptableLimit: { max: 200 } }), { standards: [who] });
+  assert.strictEqual(parameterLimits.totals.parameterResultsSkipped, 1);
+  assert.strictEqual(parameterLimits.totals.overallChanged, 0);
+
+  const whoLimits = evaluateWhatIf([sample], propose({ acceptableLimit: { max: 200 } }, who), {
+    standards: [who],
+    standard: who
+  });
+  assert.strictEqual(whoLimits.totals.parameterResultsSkipped, 0);
+  assert.strictEqual(whoLimits.totals.overallChanged, 1);
+});
@@ -5,12 +5,14 @@
  *
  * USER ROLES:
  * - ADMIN: Full system access
- * - TEAM_MEMBER: Collects samples and submits lab values
+ * - TEAM_MEMBER: Collects samples and submits field values
+ * - LAB_ANALYST: Records lab receipt and submits lab values
  *
- * SIMPLIFIED WORKFLOW:
- * 1. Team member collects sample (TESTING status)
- * 2. Team member submits lab values → auto-publishes (PUBLISHED status)
- * 3. Admin can archive samples (ARCHIVED)
+ * WORKFLOW:
+ * 1. Team member collects sample (COLLECTED / FIELD_TESTED status)
+ * 2. Lab analyst submits lab values (LAB_TESTED status)
+ * 3. A second person reviews, an admin publishes (PUBLISHED status)
+ * 4. Admin can archive samples (ARCHIVED)
  *
  * Usage: npm run seed:reset
  */
@@ -16,7 +16,8 @@
  * - LAB: TDS, True Colour, Aluminum, Ammonia, Chloride, Free Chlorine, Hardness (7 params)
  */
 
-const { ParameterMaster, User, Sample } = require('../models');
+const { ParameterMaster, User, Sample, Standard } = require('../models');
+const { standardVersion } = require('../config');
 
 // IS 10500:2012 Parameters (12 parameters)
 // Split into FIELD and LAB testLocation
@@ -29,6 +30,7 @@ const parameters = [
     code: 'TEMPERATURE',
     name: 'Temperature',
     unit: '°C',
+    unitConversions: [{ unit: '°F', factor: 5 / 9, offset: -160 / 9 }],
     type: 'TEXT',
     testLocation: 'FIELD',
     acceptableLimit: { min: null, max: null },
@@ -96,6 +98,7 @@ const parameters = [
     code: 'TURBIDITY',
     name: 'Turbidity',
     unit: 'NTU',
+    unitConversions: [{ unit: 'FTU', factor: 1 }, { unit: 'FNU', factor: 1 }],
     type: 'MAX',
     testLocation: 'FIELD',
     acceptableLimit: { min: null, max: 1 },
@@ -128,6 +131,7 @@ const parameters = [
     code: 'TDS',
     name: 'Total Dissolved Solids',
     unit: 'mg/L',
+    unitConversions: [{ unit: 'ppm', factor: 1 }],
     type: 'MAX',
     testLocation: 'LAB',
     acceptableLimit: { min: null, max: 500 },
@@ -142,11 +146,14 @@ const parameters = [
     code: 'ALUMINUM',
     name: 'Aluminum (as Al)',
     unit: 'mg/L',
+    unitConversions: [{ unit: 'ppm', factor: 1 }],
     type: 'MAX',
     testLocation: 'LAB',
     acceptableLimit: { min: null, max: 0.03 },
     permissibleLimit: { min: null, max: 0.2 },
     physicalLimit: { min: 0, max: 1000 },
+    detectionLimit: 0.005,
+    quantitationLimit: 0.01,
     affectsOverall: true,
     testMethod: 'IS 3025 (Part 55)',
     isActive: true
@@ -156,12 +163,17 @@ const parameters = [
     code: 'AMMONIA',
     name: 'Ammonia (as Total Ammonia-N)',
     unit: 'mg/L',
+    unitConversions: [{ unit: 'ppm', factor: 1 }],
     type: 'MAX',
     testLocation: 'LAB',
     acceptableLimit: { min: null, max: 0.5 },
     permissibleLimit: { min: null, max: 0.5 },
     physicalLimit: { min: 0, max: 1000 },
+    detectionLimit: 0.02,
+    quantitationLimit: 0.05,
     affectsOverall: true,
+    maxHoldingTimeHours: 24,
+    holdingTimeAction: 'FLAG',
     testMethod: 'IS 3025 (Part 34)',
     isActive: true
   },
@@ -170,6 +182,7 @@ const parameters = [
     code: 'CHLORIDE',
     name: 'Chloride (as Cl)',
     unit: 'mg/L',
+    unitConversions: [{ unit: 'ppm', factor: 1 }],
     type: 'MAX',
     testLocation: 'LAB',
     acceptableLimit: { min: null, max: 250 },
@@ -184,12 +197,15 @@ const parameters = [
     code: 'FREE_CHLORINE',
     name: 'Free Residual Chlorine',
     unit: 'mg/L',
+    unitConversions: [{ unit: 'ppm', factor: 1 }],
     type: 'MAX',
     testLocation: 'LAB',
     acceptableLimit: { min: null, max: 0.2 },
     permissibleLimit: { min: null, max: 1.0 },
     physicalLimit: { min: 0, max: 100 },
     affectsOverall: true,
+    maxHoldingTimeHours: 2,
+    holdingTimeAction: 'FLAG',
     testMethod: 'IS 3025 (Part 26)',
     isActive: true
   },
@@ -198,6 +214,7 @@ const parameters = [
     code: 'HARDNESS',
     name: 'Total Hardness (as CaCO3)',
     unit: 'mg/L',
+    unitConversions: [{ unit: 'ppm', factor: 1 }],
     type: 'MAX',
     testLocation: 'LAB',
     acceptableLimit: { min: null, max: 200 },
@@ -227,6 +244,31 @@ const seedParameters = async () => {
   }
 };
 
+// Seed default standard (IS 10500:2012) - the baseline, its limits are the ParameterMaster limits
+const seedStandards = async () => {
+  try {
+    const exists = await Standard.findOne({ code: standardVersion });
+    if (exists) {
+      // Earlier seeds copied the parameter limits - the copy would shadow parameter edits
+      if (exists.limits.length > 0) {
+        await Standard.updateOne({ _id: exists._id }, { $set: { limits: [] } });
+        console.log(`Standard ${standardVersion}: removed copied limits, ParameterMaster limits apply`);
+      }
+      return;
+    }
+
+    await Standard.create({
+      code: standardVersion,
+      name: 'IS 10500:2012 Drinking Water Specification',
+      description: 'Bureau of Indian Standards - Drinking Water Specification (Second Revision)',
+      isDefault: !(await Standard.exists({ isDefault: true }))
+    });
+    console.log(`Standard seeded: ${standardVersion} (baseline - ParameterMaster limits)`);
+  } catch (error) {
+    console.error('Error seeding standards:', error.message);
+  }
+};
+
 // Seed Admin User
 const seedAdmin = async () => {
   try {
@@ -304,6 +346,8 @@ const seedSampleData = async () => {
       { address: 'Civil Lines, Jaipur, Rajasthan', lat: 26.9124, lng: 75.7873 }
     ];
 
+    const standard = await Standard.findOne({ code: 'IS10500-2012' });
+
     const samples = [];
     const now = new Date();
 
@@ -322,7 +366,8 @@ const seedSampleData = async () => {
         },
         collectedBy: teamMember._id,
         collectedAt: collectedAt,
-        standardVersion: 'IS10500-2012'
+        standard: standard ? standard._id : null,
+        standardVersion
       };
 
       if (i < 2) {
@@ -347,7 +392,7 @@ const seedSampleData = async () => {
           ...generateLabParameters(labParams, i)
         ];
         sample.parameters = allParams;
-        sample.overallStatus = calculateOverallStatus(allParams);
+        sample.overallStatus = Sample.calculateOverallStatus(allParams);
       } else {
         // PUBLISHED status (3 samples) - fully published
         sample.lifecycleStatus = 'PUBLISHED';
@@ -362,7 +407,7 @@ const seedSampleData = async () => {
           ...generateLabParameters(labParams, i)
         ];
         sample.parameters = allParams;
-        sample.overallStatus = calculateOverallStatus(allParams);
+        sample.overallStatus = Sample.calculateOverallStatus(allParams);
       }
 
       samples.push(sample);
@@ -452,6 +497,7 @@ function generateFieldParameters(fieldParams, sampleIndex) {
       permissibleLimit: param.permissibleLimit,
       physicalLimit: param.physicalLimit || { min: null, max: null },
       enumEvaluation: enumEvalObj,
+      limitSource: param.standardVersion,
       testMethod: param.testMethod,
       affectsOverall: param.affectsOverall !== false,
       value: value,
@@ -495,7 +541,10 @@ function generateLabParameters(labParams, sampleIndex) {
       acceptableLimit: param.acceptableLimit,
       permissibleLimit: param.permissibleLimit,
       physicalLimit: param.physicalLimit || { min: null, max: null },
+      detectionLimit: param.detectionLimit ?? null,
+      quantitationLimit: param.quantitationLimit ?? null,
       enumEvaluation: {},
+      limitSource: param.standardVersion,
       testMethod: param.testMethod,
       affectsOverall: param.affectsOverall !== false,
       value: value,
@@ -506,26 +555,9 @@ function generateLabParameters(labParams, sampleIndex) {
   return params;
 }
 
-// Calculate overall status from parameters
-function calculateOverallStatus(parameters) {
-  if (!parameters || parameters.length === 0) return null;
-
-  const affectingParams = parameters.filter(p => p.affectsOverall !== false);
-
-  if (affectingParams.length === 0) return 'ACCEPTABLE';
-
-  const hasNotAcceptable = affectingParams.some(p => p.status === 'NOT_ACCEPTABLE');
-  if (hasNotAcceptable) return 'NOT_ACCEPTABLE';
-
-  const hasPermissible = affectingParams.some(p => p.status === 'PERMISSIBLE');
-  if (hasPermissible) return 'PERMISSIBLE';
-
-  return 'ACCEPTABLE';
-}
-
 // Reset and Seed All
 const resetAndSeed = async () => {
-  const { AuditLog } = require('../models');
+  const { AuditLog, ParameterVersion, StandardVersion } = require('../models');
 
   try {
     console.log('\n--- Dropping all collections ---');
@@ -533,6 +565,9 @@ const resetAndSeed = async () => {
       Sample.deleteMany({}),
       User.deleteMany({}),
       ParameterMaster.deleteMany({}),
+      Standard.deleteMany({}),
+      ParameterVersion.collection.deleteMany({}),
+      StandardVersion.collection.deleteMany({}),
       AuditLog.deleteMany({})
     ]);
     console.log('All collections dropped\n');
@@ -543,6 +578,7 @@ const resetAndSeed = async () => {
 
     console.log('\n--- Seeding Parameters ---');
     await seedParameters();
+    await seedStandards();
 
     console.log('\n--- Seeding Samples ---');
     await seedSampleData();
@@ -571,7 +607,10 @@ const resetAndSeed = async () => {
 };
 
 module.exports = {
+  parameters,
+  generateLabParameters,
   seedParameters,
+  seedStandards,
   seedAdmin,
   seedTeamMember,
   seedSampleData,
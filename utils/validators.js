@@ -1,5 +1,36 @@
 const { body, param, query } = require('express-validator');
-const { userRoles } = require('../config');
+const {
+  userRoles,
+  parameterStatuses,
+  rejectionResolutions,
+  sealConditions,
+  sampleIdPrefixes,
+  qcTypes,
+  siteSourceTypes,
+  attachmentTypes,
+  attachmentVisibilities,
+  holdingTimeActions
+} = require('../config');
+
+// Shared custody handover fields
+const custodyHandoverValidators = [
+  param('id')
+    .isMongoId().withMessage('Invalid sample ID'),
+  body('storageTemperature')
+    .notEmpty().withMessage('Storage temperature is required')
+    .isFloat({ min: -30, max: 60 }).withMessage('Storage temperature must be between -30 and 60 °C'),
+  body('sealCondition')
+    .notEmpty().withMessage('Seal condition is required')
+    .toUpperCase()
+    .isIn(sealConditions).withMessage(`Seal condition must be one of: ${sealConditions.join(', ')}`),
+  body('timestamp')
+    .optional()
+    .isISO8601().withMessage('timestamp must be a valid date'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
 
 const authValidators = {
   login: [
@@ -44,6 +75,61 @@ const authValidators = {
   ]
 };
 
+// Custom validator for nullable numbers
+const isNullableNumber = (value) => {
+  if (value === null || value === undefined) return true;
+  return !isNaN(parseFloat(value)) && isFinite(value);
+};
+
+// Per-parameter limit set (standards, what-if proposals)
+const standardLimitValidators = [
+  body('limits')
+    .optional()
+    .isArray().withMessage('limits must be an array'),
+  body('limits.*.parameter')
+    .isMongoId().withMessage('Invalid parameter ID in limits'),
+  body('limits.*.acceptableLimit.min')
+    .optional({ nullable: true })
+    .custom(isNullableNumber).withMessage('acceptableLimit.min must be a number or null'),
+  body('limits.*.acceptableLimit.max')
+    .optional({ nullable: true })
+    .custom(isNullableNumber).withMessage('acceptableLimit.max must be a number or null'),
+  body('limits.*.permissibleLimit.min')
+    .optional({ nullable: true })
+    .custom(isNullableNumber).withMessage('permissibleLimit.min must be a number or null'),
+  body('limits.*.permissibleLimit.max')
+    .optional({ nullable: true })
+    .custom(isNullableNumber).withMessage('permissibleLimit.max must be a number or null'),
+  body('limits.*.enumEvaluation')
+    .optional()
+    .isObject().withMessage('enumEvaluation must be an object')
+];
+
+// Body filter of bulk / what-if operations (same fields as the list query)
+const SAMPLE_FILTER_FIELDS = ['lifecycleStatus', 'overallStatus', 'sampleType', 'batchId', 'qcFlagged', 'site', 'search'];
+const sampleFilterValidators = [
+  body('filter')
+    .optional()
+    .isObject().withMessage('filter must be an object'),
+  ...['lifecycleStatus', 'sampleType', 'batchId', 'search'].map(field => (
+    body(`filter.${field}`)
+      .optional()
+      .isString().withMessage(`filter.${field} must be a string`)
+  )),
+  ...['qcFlagged', 'includeDeleted'].map(field => (
+    body(`filter.${field}`)
+      .optional()
+      .isBoolean().withMessage(`filter.${field} must be a boolean`)
+  )),
+  body('filter.overallStatus')
+    .optional()
+    .toUpperCase()
+    .isIn(parameterStatuses).withMessage(`filter.overallStatus must be one of: ${parameterStatuses.join(', ')}`),
+  body('filter.site')
+    .optional()
+    .isMongoId().withMessage('filter.site must be a site ID')
+];
+
 const sampleValidators = {
   // Mobile create - SIMPLIFIED API
   create: [
@@ -59,7 +145,122 @@ const sampleValidators = {
       .notEmpty().withMessage('Location is required'),
     body('collectedAt')
       .optional()
-      .isISO8601().withMessage('collectedAt must be a valid date')
+      .isISO8601().withMessage('collectedAt must be a valid date'),
+    body('resampleOf')
+      .optional({ values: 'falsy' })
+      .isMongoId().withMessage('resampleOf must be a valid sample ID'),
+    body('idPrefix')
+      .optional({ values: 'falsy' })
+      .toUpperCase()
+      .isIn(sampleIdPrefixes).withMessage(`idPrefix must be one of: ${sampleIdPrefixes.join(', ')}`),
+    body('confirmDuplicate')
+      .optional()
+      .isBoolean().withMessage('confirmDuplicate must be a boolean')
+      .toBoolean(),
+    body('site')
+      .optional({ values: 'falsy' })
+      .isMongoId().withMessage('site must be a valid site ID'),
+    body('campaign')
+      .optional({ values: 'falsy' })
+      .isMongoId().withMessage('campaign must be a valid campaign ID'),
+    body('visit')
+      .if(body('campaign').notEmpty())
+      .isMongoId().withMessage('visit is required with campaign and must be a valid visit ID'),
+    body('standard')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: 50 }).withMessage('standard must be a standard code')
+  ],
+  // FIELD test - COLLECTED → FIELD_TESTED (mobile, collector only)
+  fieldTest: [
+    param('id')
+      .isMongoId().withMessage('Invalid sample ID'),
+    body('parameters')
+      .isArray({ min: 1 }).withMessage('At least one FIELD parameter is required'),
+    body('parameters.*.id')
+      .notEmpty().withMessage('Parameter id is required')
+      .isMongoId().withMessage('Invalid parameter id'),
+    body('parameters.*.value')
+      .notEmpty().withMessage('Parameter value is required'),
+    body('parameters.*.unit')
+      .optional({ values: 'null' })
+      .isString().withMessage('Parameter unit must be a string')
+      .trim()
+  ],
+  // Metadata edit - title, address, location, collectedAt
+  update: [
+    param('id')
+      .isMongoId().withMessage('Invalid sample ID'),
+    body('title')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('Sample title cannot be empty')
+      .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+    body('address')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 500 }).withMessage('Address cannot exceed 500 characters'),
+    body('location')
+      .optional()
+      .isObject().withMessage('Location must be an object {latitude, longitude}'),
+    body('location.latitude')
+      .if(body('location').exists())
+      .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+    body('location.longitude')
+      .if(body('location').exists())
+      .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+    body('collectedAt')
+      .optional()
+      .isISO8601().withMessage('collectedAt must be a valid date'),
+    body('site')
+      .optional({ values: 'null' })
+      .isMongoId().withMessage('site must be a valid site ID or null'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+  // Custody dispatch - collector hands bottle to courier (mobile)
+  custodyDispatch: [
+    ...custodyHandoverValidators,
+    body('handedTo')
+      .trim()
+      .notEmpty().withMessage('handedTo (courier name) is required')
+      .isLength({ max: 100 }).withMessage('handedTo cannot exceed 100 characters')
+  ],
+  // Custody lab receipt - lab receives bottle (Admin only)
+  custodyReceipt: [
+    ...custodyHandoverValidators,
+    body('batchId')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 }).withMessage('batchId must be 1-50 characters')
+  ],
+  // QC sample - blank / duplicate / spike prepared in the lab (Admin only)
+  createQc: [
+    body('qcType')
+      .notEmpty().withMessage('QC type is required')
+      .toUpperCase()
+      .isIn(qcTypes).withMessage(`QC type must be one of: ${qcTypes.join(', ')}`),
+    body('parentSample')
+      .optional()
+      .isMongoId().withMessage('Invalid parent sample ID'),
+    body('batchId')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 }).withMessage('batchId must be 1-50 characters'),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+    body('spikes')
+      .optional()
+      .isArray().withMessage('spikes must be an array'),
+    body('spikes.*.parameterRef')
+      .isMongoId().withMessage('Invalid spike parameter reference'),
+    body('spikes.*.amount')
+      .isFloat({ gt: 0 }).withMessage('Spike amount must be a positive number')
+      .toFloat()
   ],
   // LAB test - FIELD_TESTED → LAB_TESTED (Admin only)
   labTest: [
@@ -71,7 +272,166 @@ const sampleValidators = {
       .notEmpty().withMessage('Parameter reference is required')
       .isMongoId().withMessage('Invalid parameter reference'),
     body('parameters.*.value')
-      .notEmpty().withMessage('Parameter value is required')
+      .notEmpty().withMessage('Parameter value is required'),
+    body('parameters.*.unit')
+      .optional({ values: 'null' })
+      .isString().withMessage('Parameter unit must be a string')
+      .trim(),
+    body('standard')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: 50 }).withMessage('standard must be a standard code'),
+    body('analysedAt')
+      .optional({ values: 'null' })
+      .isISO8601().withMessage('analysedAt must be a valid date')
+  ],
+  // Reject - FIELD_TESTED → REJECTED (Admin only)
+  reject: [
+    param('id')
+      .isMongoId().withMessage('Invalid sample ID'),
+    body('reason')
+      .trim()
+      .notEmpty().withMessage('Rejection reason is required')
+      .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body('resolution')
+      .notEmpty().withMessage('Resolution is required')
+      .toUpperCase()
+      .isIn(rejectionResolutions).withMessage(`Resolution must be one of: ${rejectionResolutions.join(', ')}`)
+  ],
+  // Comment on a sample (admin / lab / mobile)
+  comment: [
+    param('id')
+      .isMongoId().withMessage('Invalid sample ID'),
+    body('text')
+      .trim()
+      .notEmpty().withMessage('Comment text is required')
+      .isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters'),
+    body('mention')
+      .optional({ values: 'null' })
+      .isMongoId().withMessage('mention must be a valid user ID'),
+    body('internal')
+      .optional()
+      .isBoolean().withMessage('internal must be a boolean')
+      .toBoolean()
+  ],
+  // Attachment upload (multipart - file field: attachment)
+  attachment: [
+    param('id')
+      .isMongoId().withMessage('Invalid sample ID'),
+    body('type')
+      .notEmpty().withMessage('Attachment type is required')
+      .toUpperCase()
+      .isIn(attachmentTypes).withMessage(`Attachment type must be one of: ${attachmentTypes.join(', ')}`),
+    body('caption')
+      .optional()
+      .trim()
+      .isLength({ max: 300 }).withMessage('Caption cannot exceed 300 characters'),
+    body('visibility')
+      .optional()
+      .toUpperCase()
+      .isIn(attachmentVisibilities).withMessage(`Visibility must be one of: ${attachmentVisibilities.join(', ')}`)
+  ],
+  attachmentById: [
+    param('id')
+      .isMongoId().withMessage('Invalid sample ID'),
+    param('attachmentId')
+      .isMongoId().withMessage('Invalid attachment ID')
+  ],
+  // Review - four-eyes approval of LAB_TESTED results (Admin only)
+  review: [
+    param('id')
+      .isMongoId().withMessage('Invalid sample ID'),
+    body('comments')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Comments cannot exceed 1000 characters')
+  ],
+  // Retract - PUBLISHED → RETRACTED (Admin only)
+  retract: [
+    param('id')
+      .isMongoId().withMessage('Invalid sample ID'),
+    body('reason')
+      .trim()
+      .notEmpty().withMessage('Public retraction reason is required')
+      .isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters')
+  ],
+  // Soft delete - moves sample to trash (Admin only)
+  softDelete: [
+    param('id')
+      .isMongoId().withMessage('Invalid sample ID'),
+    body('reason')
+      .trim()
+      .notEmpty().withMessage('Deletion reason is required')
+      .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+  // Amend lab results - LAB_TESTED / PUBLISHED only (Admin only)
+  amend: [
+    param('id')
+      .isMongoId().withMessage('Invalid sample ID'),
+    body('justification')
+      .trim()
+      .notEmpty().withMessage('Amendment justification is required')
+      .isLength({ max: 1000 }).withMessage('Justification cannot exceed 1000 characters'),
+    body('parameters')
+      .isArray({ min: 1 }).withMessage('At least one corrected parameter is required'),
+    body('parameters.*.parameterRef')
+      .notEmpty().withMessage('Parameter reference is required')
+      .isMongoId().withMessage('Invalid parameter reference'),
+    body('parameters.*.value')
+      .notEmpty().withMessage('Parameter value is required'),
+    body('parameters.*.unit')
+      .optional({ values: 'null' })
+      .isString().withMessage('Parameter unit must be a string')
+      .trim()
+  ],
+  // Bulk publish / archive / restore - ids OR filter (Admin only)
+  bulk: [
+    body('ids')
+      .optional()
+      .isArray({ min: 1, max: 500 }).withMessage('ids must be an array of 1-500 sample IDs'),
+    body('ids.*')
+      .isMongoId().withMessage('Invalid sample ID'),
+    ...sampleFilterValidators,
+    // An empty filter would select every sample
+    body('filter')
+      .optional()
+      .custom(value => SAMPLE_FILTER_FIELDS.some(field => value[field] !== undefined && value[field] !== ''))
+      .withMessage(`filter must set at least one of: ${SAMPLE_FILTER_FIELDS.join(', ')}`),
+    body()
+      .custom(value => Boolean(value.ids) !== Boolean(value.filter))
+      .withMessage('Provide either ids or filter (not both)'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+  // What-if re-evaluation - proposed limits + ids OR filter (Admin only)
+  whatIf: [
+    body('limits')
+      .isArray({ min: 1 }).withMessage('At least one proposed parameter limit is required'),
+    ...standardLimitValidators.slice(1),
+    body('standard')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: 50 }).withMessage('standard must be a standard code'),
+    body('ids')
+      .optional()
+      .isArray({ min: 1 }).withMessage('ids must be a non-empty array of sample IDs'),
+    body('ids.*')
+      .isMongoId().withMessage('Invalid sample ID'),
+    ...sampleFilterValidators,
+    body()
+      .custom(value => !(value.ids && value.filter))
+      .withMessage('Provide either ids or filter (not both)')
+  ],
+  // Get by ID with optional ?revision= (lab result revision)
+  getRevision: [
+    param('id')
+      .isMongoId().withMessage('Invalid sample ID'),
+    query('revision')
+      .optional()
+      .isInt({ min: 0 }).withMessage('Revision must be a non-negative integer')
+      .toInt()
   ],
   getById: [
     param('id')
@@ -93,11 +453,31 @@ const userValidators = {
   ]
 };
 
-// Custom validator for nullable numbers
-const isNullableNumber = (value) => {
-  if (value === null || value === undefined) return true;
-  return !isNaN(parseFloat(value)) && isFinite(value);
-};
+// Accepted alternative units: canonical = value * factor + offset
+const unitConversionValidators = [
+  body('unitConversions')
+    .optional()
+    .isArray().withMessage('unitConversions must be an array'),
+  body('unitConversions.*.unit')
+    .trim()
+    .notEmpty().withMessage('Conversion unit is required'),
+  body('unitConversions.*.factor')
+    .isFloat().withMessage('Conversion factor must be a number')
+    .custom(value => parseFloat(value) !== 0).withMessage('Conversion factor cannot be 0'),
+  body('unitConversions.*.offset')
+    .optional()
+    .isFloat().withMessage('Conversion offset must be a number')
+];
+
+// Method limits for censored results (RANGE / MAX), null clears
+const detectionLimitValidators = [
+  body('detectionLimit')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('detectionLimit must be a positive number or null'),
+  body('quantitationLimit')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('quantitationLimit must be a positive number or null')
+];
 
 const parameterValidators = {
   create: [
@@ -143,13 +523,29 @@ const parameterValidators = {
     body('affectsOverall')
       .optional()
       .isBoolean().withMessage('affectsOverall must be a boolean'),
+    body('maxHoldingTimeHours')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 }).withMessage('maxHoldingTimeHours must be a positive number or null'),
+    body('holdingTimeAction')
+      .optional()
+      .toUpperCase()
+      .isIn(holdingTimeActions).withMessage(`holdingTimeAction must be one of: ${holdingTimeActions.join(', ')}`),
     body('testMethod')
       .optional()
-      .trim()
+      .trim(),
+    ...unitConversionValidators,
+    ...detectionLimitValidators
   ],
   update: [
     param('id')
       .isMongoId().withMessage('Invalid parameter ID'),
+    body('reason')
+      .trim()
+      .notEmpty().withMessage('Reason for the change is required')
+      .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body('effectiveFrom')
+      .optional()
+      .isISO8601().withMessage('effectiveFrom must be a valid date'),
     body('code')
       .optional()
       .trim()
@@ -165,7 +561,262 @@ const parameterValidators = {
     body('testLocation')
       .optional()
       .toUpperCase()
-      .isIn(['FIELD', 'LAB']).withMessage('testLocation must be FIELD or LAB')
+      .isIn(['FIELD', 'LAB']).withMessage('testLocation must be FIELD or LAB'),
+    body('maxHoldingTimeHours')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 }).withMessage('maxHoldingTimeHours must be a positive number or null'),
+    body('holdingTimeAction')
+      .optional()
+      .toUpperCase()
+      .isIn(holdingTimeActions).withMessage(`holdingTimeAction must be one of: ${holdingTimeActions.join(', ')}`),
+    ...unitConversionValidators,
+    ...detectionLimitValidators
+  ],
+  getById: [
+    param('id')
+      .isMongoId().withMessage('Invalid parameter ID')
+  ]
+};
+
+// Shared site fields - required on create, optional on update
+const siteFieldValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('code')
+      .trim()
+      .notEmpty().withMessage('Site code is required')
+      .isLength({ max: 50 }).withMessage('Site code cannot exceed 50 characters')
+      .toUpperCase(),
+    field('name')
+      .trim()
+      .notEmpty().withMessage('Site name is required')
+      .isLength({ max: 200 }).withMessage('Site name cannot exceed 200 characters'),
+    field('sourceType')
+      .notEmpty().withMessage('Source type is required')
+      .toUpperCase()
+      .isIn(siteSourceTypes).withMessage(`Source type must be one of: ${siteSourceTypes.join(', ')}`),
+    field('location')
+      .isObject().withMessage('Location must be an object {latitude, longitude}'),
+    body('location.latitude')
+      .if(body('location').exists())
+      .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+    body('location.longitude')
+      .if(body('location').exists())
+      .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+    body('owner')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 200 }).withMessage('Owner cannot exceed 200 characters'),
+    body('address')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 500 }).withMessage('Address cannot exceed 500 characters'),
+    body('identifiers')
+      .optional()
+      .isArray().withMessage('identifiers must be an array of {scheme, value}'),
+    body('identifiers.*.scheme')
+      .trim()
+      .notEmpty().withMessage('Identifier scheme is required'),
+    body('identifiers.*.value')
+      .trim()
+      .notEmpty().withMessage('Identifier value is required'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const siteValidators = {
+  create: siteFieldValidators(false),
+  update: [
+    param('id')
+      .isMongoId().withMessage('Invalid site ID'),
+    ...siteFieldValidators(true)
+  ],
+  getById: [
+    param('id')
+      .isMongoId().withMessage('Invalid site ID')
+  ],
+  // Mobile - sites near the collector's position
+  nearby: [
+    query('latitude')
+      .notEmpty().withMessage('latitude is required')
+      .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+    query('longitude')
+      .notEmpty().withMessage('longitude is required')
+      .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+    query('radius')
+      .optional()
+      .isFloat({ gt: 0, max: 50000 }).withMessage('radius must be between 0 and 50000 metres')
+  ]
+};
+
+// Campaign visits - each targets a site or a location
+const campaignVisitValidators = (field) => [
+  body(field)
+    .isArray({ min: 1 }).withMessage(`${field} must be a non-empty array`),
+  body(`${field}.*`)
+    .custom(visit => Boolean(visit && (visit.site || visit.location)))
+    .withMessage('Each visit needs a site or a location'),
+  body(`${field}.*.site`)
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Visit site must be a valid site ID'),
+  body(`${field}.*.location.latitude`)
+    .optional()
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body(`${field}.*.location.longitude`)
+    .optional()
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body(`${field}.*.label`)
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 200 }).withMessage('Visit label cannot exceed 200 characters'),
+  body(`${field}.*.assignedTo`)
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Visit assignedTo must be a valid user ID'),
+  body(`${field}.*.dueDate`)
+    .optional()
+    .isISO8601().withMessage('Visit dueDate must be a valid date')
+];
+
+const campaignValidators = {
+  create: [
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Campaign name is required')
+      .isLength({ max: 200 }).withMessage('Campaign name cannot exceed 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('startDate')
+      .isISO8601().withMessage('startDate must be a valid date'),
+    body('endDate')
+      .isISO8601().withMessage('endDate must be a valid date'),
+    body('requiredParameters')
+      .optional()
+      .isArray().withMessage('requiredParameters must be an array'),
+    body('requiredParameters.*')
+      .isMongoId().withMessage('Invalid parameter ID'),
+    body('assignedTo')
+      .isArray({ min: 1 }).withMessage('At least one assigned TEAM_MEMBER is required'),
+    body('assignedTo.*')
+      .isMongoId().withMessage('Invalid user ID'),
+    body('visits')
+      .optional()
+      .isArray().withMessage('visits must be an array'),
+    ...campaignVisitValidators('visits').slice(1)
+  ],
+  update: [
+    param('id')
+      .isMongoId().withMessage('Invalid campaign ID'),
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('Campaign name cannot be empty')
+      .isLength({ max: 200 }).withMessage('Campaign name cannot exceed 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('startDate')
+      .optional()
+      .isISO8601().withMessage('startDate must be a valid date'),
+    body('endDate')
+      .optional()
+      .isISO8601().withMessage('endDate must be a valid date'),
+    body('requiredParameters')
+      .optional()
+      .isArray().withMessage('requiredParameters must be an array'),
+    body('requiredParameters.*')
+      .isMongoId().withMessage('Invalid parameter ID'),
+    body('assignedTo')
+      .optional()
+      .isArray({ min: 1 }).withMessage('At least one assigned TEAM_MEMBER is required'),
+    body('assignedTo.*')
+      .isMongoId().withMessage('Invalid user ID'),
+    body('isActive')
+      .optional()
+      .isBoolean().withMessage('isActive must be a boolean')
+  ],
+  addVisits: [
+    param('id')
+      .isMongoId().withMessage('Invalid campaign ID'),
+    ...campaignVisitValidators('visits')
+  ],
+  removeVisit: [
+    param('id')
+      .isMongoId().withMessage('Invalid campaign ID'),
+    param('visitId')
+      .isMongoId().withMessage('Invalid visit ID')
+  ],
+  getById: [
+    param('id')
+      .isMongoId().withMessage('Invalid campaign ID')
+  ]
+};
+
+const standardValidators = {
+  create: [
+    body('code')
+      .trim()
+      .notEmpty().withMessage('Standard code is required')
+      .isLength({ max: 50 }).withMessage('Standard code cannot exceed 50 characters')
+      .toUpperCase(),
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Standard name is required')
+      .isLength({ max: 200 }).withMessage('Standard name cannot exceed 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('isDefault')
+      .optional()
+      .isBoolean().withMessage('isDefault must be a boolean'),
+    ...standardLimitValidators
+  ],
+  update: [
+    param('id')
+      .isMongoId().withMessage('Invalid standard ID'),
+    body('code')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('Standard code cannot be empty')
+      .isLength({ max: 50 }).withMessage('Standard code cannot exceed 50 characters')
+      .toUpperCase(),
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('Standard name cannot be empty')
+      .isLength({ max: 200 }).withMessage('Standard name cannot exceed 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('isDefault')
+      .optional()
+      .isBoolean().withMessage('isDefault must be a boolean'),
+    body('isActive')
+      .optional()
+      .isBoolean().withMessage('isActive must be a boolean'),
+    body('reason')
+      .if(body('limits').exists())
+      .trim()
+      .notEmpty().withMessage('Reason for the limit change is required')
+      .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body('effectiveFrom')
+      .optional()
+      .isISO8601().withMessage('effectiveFrom must be a valid date'),
+    ...standardLimitValidators
+  ],
+  getById: [
+    param('id')
+      .isMongoId().withMessage('Invalid standard ID')
   ]
 };
 
@@ -183,5 +834,8 @@ module.exports = {
   sampleValidators,
   userValidators,
   parameterValidators,
+  siteValidators,
+  campaignValidators,
+  standardValidators,
   paginationValidators
 };